@@ -33,6 +33,157 @@ function validateInput(input, maxLength = 50) {
   return input.trim().length > 0 && input.length <= maxLength;
 }
 
+/**
+ * Nombre de caractères perçus (graphèmes) : un emoji ou une lettre suivie
+ * d'un accent combinant compte pour un seul caractère
+ * @param {string} text - Texte à mesurer
+ * @returns {number} - Nombre de graphèmes
+ */
+function countGraphemes(text) {
+  if (typeof text !== "string") return 0;
+
+  if (typeof Intl !== "undefined" && typeof Intl.Segmenter === "function") {
+    const segmenter = new Intl.Segmenter("fr", { granularity: "grapheme" });
+    return [...segmenter.segment(text)].length;
+  }
+  // Repli : points de code après composition des accents
+  return Array.from(text.normalize("NFC")).length;
+}
+
+/**
+ * Validation d'un prénom : lettres de toutes les écritures, espaces,
+ * traits d'union et apostrophes
+ * @param {string} input - Prénom saisi
+ * @param {number} [maxLength=30] - Nombre maximal de caractères (graphèmes)
+ * @returns {{valid: boolean, reason: string, message: string}} - reason vaut
+ *   "empty", "too-long", "invalid-characters" ou "no-letter" en cas d'erreur
+ */
+function validateName(input, maxLength = 30) {
+  const name = typeof input === "string" ? input.trim() : "";
+  const error = (reason, message) => ({ valid: false, reason, message });
+
+  if (!name) {
+    return error("empty", i18n.t("name.empty"));
+  }
+  if (countGraphemes(name) > maxLength) {
+    return error("too-long", i18n.t("name.tooLong", { max: maxLength }));
+  }
+  if (!/^[\p{L}\p{M} '’-]+$/u.test(name)) {
+    return error("invalid-characters", i18n.t("name.invalidCharacters"));
+  }
+  if (!/\p{L}/u.test(name)) {
+    return error("no-letter", i18n.t("name.noLetter"));
+  }
+
+  return { valid: true, reason: "", message: "" };
+}
+
+/**
+ * Normalisation d'un texte pour les comparaisons (casse et accents ignorés)
+ * @param {string} text - Texte à normaliser
+ * @returns {string} - Texte en minuscules, sans diacritiques
+ */
+function normalizeText(text) {
+  if (typeof text !== "string") return "";
+
+  return text
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Formatage d'un slug de catégorie ou de tag pour l'affichage
+ * (libellés traduits dans le catalogue des messages, clés "label.<slug>")
+ * @param {string} slug - Catégorie ou tag, ex. "actu-produits"
+ * @returns {string} - Libellé, ex. "Actu produits"
+ */
+function formatLabel(slug) {
+  if (i18n.has(`label.${slug}`)) return i18n.t(`label.${slug}`);
+
+  return slug.charAt(0).toUpperCase() + slug.slice(1).replace(/-/g, " ");
+}
+
+/**
+ * Conversion d'un libellé libre en slug (tags saisis par les rédacteurs)
+ * @param {string} text - Libellé, ex. "Montres GPS"
+ * @returns {string} - Slug, ex. "montres-gps"
+ */
+function slugify(text) {
+  return normalizeText(text)
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+/**
+ * Formatage d'une date ISO pour les cartes d'articles, dans la langue courante
+ * @param {string} isoDate - Date AAAA-MM-JJ
+ * @returns {string} - Date affichée, ex. "02 juin, 2025" ou "June 2, 2025"
+ */
+function formatCardDate(isoDate) {
+  const date = new Date(`${isoDate}T00:00:00`);
+  if (isNaN(date.getTime())) return isoDate;
+
+  return i18n.t("date.card", {
+    day: date.getDate(),
+    dd: String(date.getDate()).padStart(2, "0"),
+    month: date.toLocaleDateString(i18n.locale, { month: "long" }),
+    year: date.getFullYear(),
+  });
+}
+
+/**
+ * Nettoyage d'une requête de recherche saisie par l'utilisateur
+ * (affichée via textContent uniquement : pas d'échappement HTML nécessaire)
+ * @param {string} query - Requête brute
+ * @returns {string} - Requête tronquée à 100 caractères
+ */
+function cleanSearchQuery(query) {
+  if (typeof query !== "string") return "";
+  return query.trim().slice(0, 100);
+}
+
+/**
+ * Découpe une requête en termes normalisés
+ * @param {string} query - Requête brute
+ * @returns {string[]} - Termes sans accents ni casse
+ */
+function getSearchTerms(query) {
+  return normalizeText(query).split(" ").filter(Boolean);
+}
+
+/**
+ * Score de pertinence d'un article : chaque terme doit être trouvé,
+ * le titre pèse plus que la catégorie, elle-même plus que l'extrait
+ * @param {{title: string, category: string, excerpt: string}} fields - Textes de l'article
+ * @param {string[]} terms - Termes normalisés
+ * @returns {number} - 0 si l'article ne correspond pas
+ */
+function scoreSearchMatch(fields, terms) {
+  const title = normalizeText(fields.title);
+  const category = normalizeText(fields.category);
+  const excerpt = normalizeText(fields.excerpt);
+  let score = 0;
+
+  for (const term of terms) {
+    let termScore = 0;
+    if (title.includes(term)) {
+      termScore += 3;
+      // Bonus quand le terme débute un mot du titre
+      if (` ${title}`.includes(` ${term}`)) termScore += 1;
+    }
+    if (category.includes(term)) termScore += 2;
+    if (excerpt.includes(term)) termScore += 1;
+
+    if (termScore === 0) return 0;
+    score += termScore;
+  }
+
+  return score;
+}
+
 /**
  * Debounce pour optimiser les performances
  * @param {Function} func - Fonction à débouncer
@@ -51,311 +202,4739 @@ function debounce(func, wait) {
   };
 }
 
-// =============================================================================
-// FONCTIONNALITÉ 1: MESSAGE DE BIENVENUE PERSONNALISÉ
-// =============================================================================
+/**
+ * Lecture d'une valeur JSON dans le stockage local du navigateur
+ * Stockage désactivé (navigation privée) ou donnée corrompue : valeur par défaut
+ * @param {string} key - Clé de stockage
+ * @param {*} fallback - Valeur retournée en cas d'échec
+ * @returns {*} - Valeur enregistrée ou valeur par défaut
+ */
+function readStorage(key, fallback) {
+  try {
+    const raw = window.localStorage.getItem(key);
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch (error) {
+    console.warn(`Stockage local indisponible (${key}):`, error.message);
+    return fallback;
+  }
+}
+
+/**
+ * Écriture d'une valeur JSON dans le stockage local du navigateur
+ * @param {string} key - Clé de stockage
+ * @param {*} value - Valeur sérialisable
+ * @returns {boolean} - False si la valeur n'a pas pu être enregistrée (quota, accès refusé)
+ */
+function writeStorage(key, value) {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch (error) {
+    console.warn(`Enregistrement impossible (${key}):`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Suppression d'une valeur du stockage local du navigateur
+ * @param {string} key - Clé de stockage
+ */
+function removeStorage(key) {
+  try {
+    window.localStorage.removeItem(key);
+  } catch (error) {
+    console.warn(`Suppression impossible (${key}):`, error.message);
+  }
+}
+
+// =============================================================================
+// INTERNATIONALISATION
+// =============================================================================
+
+/**
+ * Catalogue des messages de l'interface et mise en forme selon la langue
+ * Syntaxe ICU simplifiée : {nom}, {n, plural, =0 {…} one {# …} other {# …}}
+ * et {valeur, select, a {…} other {…}} ; "#" est remplacé par le nombre
+ */
+class I18n {
+  constructor(storageKey = "runtogether:locale") {
+    this.storageKey = storageKey;
+    this.defaultLocale = "fr";
+    this.messages = {
+      fr: {
+        "locale.name": "Français",
+        "locale.label": "Langue",
+
+        "date.card": "{dd} {month}, {year}",
+
+        "label.actu": "Actu",
+        "label.actu-produits": "Actu produits",
+        "label.a-la-une": "À la une",
+        "label.entrainement": "Entraînement",
+        "label.conseil": "Conseil",
+        "label.nutrition": "Nutrition",
+        "label.competition": "Compétition",
+        "label.debutant": "Débutant",
+        "label.materiel": "Matériel",
+        "label.montres-gps": "Montres GPS",
+        "label.recuperation": "Récupération",
+
+        "name.empty": "Veuillez saisir votre prénom.",
+        "name.tooLong":
+          "Votre prénom ne doit pas dépasser {max, plural, one {# caractère} other {# caractères}}.",
+        "name.invalidCharacters":
+          "Votre prénom ne peut contenir que des lettres, des espaces, des traits d'union et des apostrophes.",
+        "name.noLetter": "Votre prénom doit contenir au moins une lettre.",
+
+        "form.checkbox": "Veuillez cocher cette case.",
+        "form.required": "Veuillez renseigner ce champ.",
+        "form.minLength":
+          "Saisissez au moins {min, plural, one {# caractère} other {# caractères}}.",
+        "form.maxLength":
+          "Saisissez au plus {max, plural, one {# caractère} other {# caractères}}.",
+        "form.rangeBetween": "Saisissez un nombre entre {min} et {max}.",
+        "form.rangeMin": "Saisissez un nombre supérieur ou égal à {min}.",
+        "form.rangeMax": "Saisissez un nombre inférieur ou égal à {max}.",
+        "form.email":
+          "Saisissez une adresse e-mail valide, ex. nom@exemple.fr.",
+        "form.pattern": "Le format de ce champ est incorrect.",
+
+        "profile.level.debutant": "Débutant",
+        "profile.level.intermediaire": "Intermédiaire",
+        "profile.level.confirme": "Confirmé",
+        "profile.goal.5k": "5 km",
+        "profile.goal.10k": "10 km",
+        "profile.goal.semi": "Semi-marathon",
+        "profile.goal.marathon": "Marathon",
+        "profile.goal.trail": "Trail",
+        "profile.level": "niveau {level}",
+        "profile.goal": "objectif {goal}",
+        "profile.volume": "{volume} km par semaine",
+        "profile.empty": "Aucun détail de course enregistré.",
+
+        "welcome.greeting":
+          "🏃‍♂️ Bienvenue {name} ! Prêt pour votre prochaine course ?",
+        "welcome.returning":
+          "🏃‍♂️ Bon retour {name} ! Prêt pour votre prochaine course ?",
+        "welcome.volumeError":
+          "Veuillez saisir un volume hebdomadaire entre 0 et {max} km.",
+        "welcome.forgotten": "Vos données ont été supprimées de cet appareil.",
+
+        "card.readMore": "Lire plus",
+        "card.readLater": "Lire plus tard",
+        "card.hide": "Masquer l'article",
+        "card.show": "Afficher",
+        "card.tags": "Tags",
+        "card.new": "Nouveau",
+        "catalogue.error": "Les articles n'ont pas pu être chargés.",
+        "catalogue.degraded":
+          "Les filtres et actions des articles n'ont pas pu être chargés.",
+        "catalogue.retry": "Réessayer",
+
+        "toast.close": "Fermer la notification",
+        "toast.hidden": "Article masqué : {title}",
+        "toast.hiddenUntitled": "Article masqué",
+        "toast.undo": "Annuler",
+        "hidden.count":
+          "{count, plural, one {# article masqué} other {# articles masqués}}",
+        "hidden.showAll": "tout réafficher",
+
+        "articles.count": "{count, plural, one {# article} other {# articles}}",
+        "filter.clear": "Tout effacer",
+        "filter.loadMore":
+          "Charger plus d'articles ({count, plural, one {# restant} other {# restants}})",
+        "filter.loadedMore":
+          "{added, plural, one {# article supplémentaire affiché} other {# articles supplémentaires affichés}}. {visible} sur {total}.",
+        "filter.partialCount": "{visible} sur {total} articles",
+        "filter.collapsedCount":
+          "{count} (dont {collapsed, plural, one {# masqué} other {# masqués}})",
+        "filter.resultAll": "{count} au total, {sort}",
+        "filter.resultNone": "Aucun article trouvé{criteria}",
+        "filter.result": "{count}{criteria}, {sort}",
+        "filter.announceAll":
+          "Tous les articles sont affichés, {sort}. {count, plural, one {# article} other {# articles}} au total.",
+        "filter.announce":
+          "Filtrage{criteria}. {count, plural, =0 {Aucun article trouvé} one {# article trouvé} other {# articles trouvés}}, {sort}.",
+        "sort.sorted": "{count, plural, one {trié} other {triés}} {order}",
+        "sort.relevance": "par pertinence",
+        "sort.newest": "du plus récent au plus ancien",
+        "sort.oldest": "du plus ancien au plus récent",
+        "sort.alpha": "par ordre alphabétique",
+        "criteria.query": " pour « {query} »",
+        "criteria.category": ' dans la catégorie "{category}"',
+        "criteria.categories": " dans les catégories {list} ou {last}",
+        "criteria.tag": ' avec le tag "{tag}"',
+        "criteria.between": " publiés entre le {from} et le {to}",
+        "criteria.since": " publiés depuis le {from}",
+        "criteria.until": " publiés jusqu'au {to}",
+        "criteria.unread": " parmi les articles non lus",
+
+        "search.label": "Résultats de recherche",
+        "search.none": "Aucun article ne correspond à « {query} ».",
+        "search.results":
+          "{count, plural, one {# résultat} other {# résultats}} pour « {query} »",
+
+        "readingList.title": "Lire plus tard",
+        "readingList.close": "Fermer",
+        "readingList.empty":
+          "Aucun article enregistré. Utilisez « Lire plus tard » sur une carte pour le retrouver ici.",
+        "readingList.read": "Lu",
+        "readingList.up": "Monter « {title} »",
+        "readingList.down": "Descendre « {title} »",
+        "readingList.markRead": "Marquer comme lu",
+        "readingList.markUnread": "Marquer non lu",
+        "readingList.markLabel":
+          "Marquer « {title} » comme {state, select, read {lu} other {non lu}}",
+        "readingList.remove": "Retirer",
+        "readingList.removeLabel": "Retirer « {title} » de la liste",
+        "readingList.moved": "« {title} » déplacé en position {position}",
+        "readingList.marked":
+          "« {title} » marqué comme {state, select, read {lu} other {non lu}}",
+        "readingList.removed": "« {title} » retiré de la liste",
+
+        "recommend.label": "Recommandé pour vous",
+        "recommend.goal.5k": "Parce que vous préparez un 5 km",
+        "recommend.goal.10k": "Parce que vous préparez un 10 km",
+        "recommend.goal.semi": "Parce que vous préparez un semi",
+        "recommend.goal.marathon": "Parce que vous préparez un marathon",
+        "recommend.goal.trail": "Parce que vous préparez un trail",
+        "recommend.level.debutant": "Parce que vous débutez",
+        "recommend.level.intermediaire": "Pour continuer à progresser",
+        "recommend.level.confirme": "Pour les coureurs confirmés",
+
+        "carousel.role": "carrousel",
+        "carousel.slides": "Diapositives",
+        "carousel.slide": "diapositive",
+        "carousel.slideLabel": "{index} sur {total}",
+        "carousel.previous": "Diapositive précédente",
+        "carousel.next": "Diapositive suivante",
+        "carousel.announce": "Diapositive {index} sur {total} : {title}",
+        "carousel.pause": "Mettre en pause le défilement",
+        "carousel.play": "Reprendre le défilement",
+      },
+      en: {
+        "locale.name": "English",
+        "locale.label": "Language",
+
+        "date.card": "{month} {day}, {year}",
+
+        "label.actu": "News",
+        "label.actu-produits": "Product news",
+        "label.a-la-une": "Featured",
+        "label.entrainement": "Training",
+        "label.conseil": "Advice",
+        "label.nutrition": "Nutrition",
+        "label.competition": "Racing",
+        "label.debutant": "Beginner",
+        "label.materiel": "Gear",
+        "label.montres-gps": "GPS watches",
+        "label.recuperation": "Recovery",
+        "label.chaussures": "Shoes",
+        "label.route": "Road",
+        "label.blessures": "Injuries",
+
+        "name.empty": "Please enter your first name.",
+        "name.tooLong":
+          "Your first name must not exceed {max, plural, one {# character} other {# characters}}.",
+        "name.invalidCharacters":
+          "Your first name can only contain letters, spaces, hyphens and apostrophes.",
+        "name.noLetter": "Your first name must contain at least one letter.",
+
+        "form.checkbox": "Please tick this box.",
+        "form.required": "Please fill in this field.",
+        "form.minLength":
+          "Enter at least {min, plural, one {# character} other {# characters}}.",
+        "form.maxLength":
+          "Enter at most {max, plural, one {# character} other {# characters}}.",
+        "form.rangeBetween": "Enter a number between {min} and {max}.",
+        "form.rangeMin": "Enter a number greater than or equal to {min}.",
+        "form.rangeMax": "Enter a number less than or equal to {max}.",
+        "form.email": "Enter a valid email address, e.g. name@example.com.",
+        "form.pattern": "This field is not in the correct format.",
+
+        "profile.level.debutant": "Beginner",
+        "profile.level.intermediaire": "Intermediate",
+        "profile.level.confirme": "Experienced",
+        "profile.goal.5k": "5K",
+        "profile.goal.10k": "10K",
+        "profile.goal.semi": "Half marathon",
+        "profile.goal.marathon": "Marathon",
+        "profile.goal.trail": "Trail",
+        "profile.level": "{level} level",
+        "profile.goal": "goal: {goal}",
+        "profile.volume": "{volume} km per week",
+        "profile.empty": "No running details saved.",
+
+        "welcome.greeting": "🏃‍♂️ Welcome {name}! Ready for your next run?",
+        "welcome.returning": "🏃‍♂️ Welcome back {name}! Ready for your next run?",
+        "welcome.volumeError":
+          "Please enter a weekly distance between 0 and {max} km.",
+        "welcome.forgotten": "Your data has been deleted from this device.",
+
+        "card.readMore": "Read more",
+        "card.readLater": "Read later",
+        "card.hide": "Hide article",
+        "card.show": "Show",
+        "card.tags": "Tags",
+        "card.new": "New",
+        "catalogue.error": "The articles could not be loaded.",
+        "catalogue.degraded":
+          "Article filters and actions could not be loaded.",
+        "catalogue.retry": "Try again",
+
+        "toast.close": "Dismiss notification",
+        "toast.hidden": "Article hidden: {title}",
+        "toast.hiddenUntitled": "Article hidden",
+        "toast.undo": "Undo",
+        "hidden.count":
+          "{count, plural, one {# hidden article} other {# hidden articles}}",
+        "hidden.showAll": "show all",
+
+        "articles.count": "{count, plural, one {# article} other {# articles}}",
+        "filter.clear": "Clear all",
+        "filter.loadMore":
+          "Load more articles ({count, plural, one {# remaining} other {# remaining}})",
+        "filter.loadedMore":
+          "{added, plural, one {# more article shown} other {# more articles shown}}. {visible} of {total}.",
+        "filter.partialCount": "{visible} of {total} articles",
+        "filter.collapsedCount":
+          "{count} ({collapsed, plural, one {# hidden} other {# hidden}})",
+        "filter.resultAll": "{count} in total, {sort}",
+        "filter.resultNone": "No articles found{criteria}",
+        "filter.result": "{count}{criteria}, {sort}",
+        "filter.announceAll":
+          "All articles are shown, {sort}. {count, plural, one {# article} other {# articles}} in total.",
+        "filter.announce":
+          "Filtering{criteria}. {count, plural, =0 {No articles found} one {# article found} other {# articles found}}, {sort}.",
+        "sort.sorted": "{count, plural, one {sorted} other {sorted}} {order}",
+        "sort.relevance": "by relevance",
+        "sort.newest": "newest first",
+        "sort.oldest": "oldest first",
+        "sort.alpha": "alphabetically",
+        "criteria.query": ' for "{query}"',
+        "criteria.category": ' in the "{category}" category',
+        "criteria.categories": " in the {list} or {last} categories",
+        "criteria.tag": ' tagged "{tag}"',
+        "criteria.between": " published between {from} and {to}",
+        "criteria.since": " published since {from}",
+        "criteria.until": " published until {to}",
+        "criteria.unread": " among unread articles",
+
+        "search.label": "Search results",
+        "search.none": 'No articles match "{query}".',
+        "search.results":
+          '{count, plural, one {# result} other {# results}} for "{query}"',
+
+        "readingList.title": "Read later",
+        "readingList.close": "Close",
+        "readingList.empty":
+          'No saved articles. Use "Read later" on a card to find it here.',
+        "readingList.read": "Read",
+        "readingList.up": 'Move "{title}" up',
+        "readingList.down": 'Move "{title}" down',
+        "readingList.markRead": "Mark as read",
+        "readingList.markUnread": "Mark as unread",
+        "readingList.markLabel":
+          'Mark "{title}" as {state, select, read {read} other {unread}}',
+        "readingList.remove": "Remove",
+        "readingList.removeLabel": 'Remove "{title}" from the list',
+        "readingList.moved": '"{title}" moved to position {position}',
+        "readingList.marked":
+          '"{title}" marked as {state, select, read {read} other {unread}}',
+        "readingList.removed": '"{title}" removed from the list',
+
+        "recommend.label": "Recommended for you",
+        "recommend.goal.5k": "Because you are training for a 5K",
+        "recommend.goal.10k": "Because you are training for a 10K",
+        "recommend.goal.semi": "Because you are training for a half marathon",
+        "recommend.goal.marathon": "Because you are training for a marathon",
+        "recommend.goal.trail": "Because you are training for a trail race",
+        "recommend.level.debutant": "Because you are just starting out",
+        "recommend.level.intermediaire": "To keep improving",
+        "recommend.level.confirme": "For experienced runners",
+
+        "carousel.role": "carousel",
+        "carousel.slides": "Slides",
+        "carousel.slide": "slide",
+        "carousel.slideLabel": "{index} of {total}",
+        "carousel.previous": "Previous slide",
+        "carousel.next": "Next slide",
+        "carousel.announce": "Slide {index} of {total}: {title}",
+        "carousel.pause": "Pause slide show",
+        "carousel.play": "Play slide show",
+      },
+    };
+    this.pluralRules = new Map();
+    this.pageLocale = this.normalizeLocale(document.documentElement.lang);
+    this.locale = this.detectLocale();
+  }
+
+  get locales() {
+    return Object.keys(this.messages);
+  }
+
+  /**
+   * Langue prise en charge correspondant à un code BCP 47
+   * @param {*} value - Code de langue, ex. "en-GB"
+   * @returns {string} - Ex. "en", vide si la langue n'est pas prise en charge
+   */
+  normalizeLocale(value) {
+    if (typeof value !== "string") return "";
+
+    const locale = value.split("-")[0].trim().toLowerCase();
+    return this.locales.includes(locale) ? locale : "";
+  }
+
+  /**
+   * Langue choisie par le visiteur, sinon celle de la page (<html lang>)
+   * @returns {string} - Code de langue pris en charge
+   */
+  detectLocale() {
+    return (
+      this.normalizeLocale(readStorage(this.storageKey, "")) ||
+      this.pageLocale ||
+      this.defaultLocale
+    );
+  }
+
+  /**
+   * Choix de la langue, enregistré pour les visites suivantes
+   * @param {string} locale - Code de langue, ex. "en"
+   * @returns {boolean} - False si la langue n'est pas prise en charge
+   */
+  setLocale(locale) {
+    const supported = this.normalizeLocale(locale);
+    if (!supported) return false;
+
+    this.locale = supported;
+    writeStorage(this.storageKey, supported);
+    return true;
+  }
+
+  /**
+   * Langue déclarée sur un élément dont les textes viennent du catalogue
+   * (synthèse vocale, césure) ; le reste de la page garde sa langue
+   * @param {HTMLElement} element - Conteneur de textes générés
+   * @returns {HTMLElement} - Le même élément
+   */
+  applyLanguage(element) {
+    if (element && this.locale !== this.pageLocale) element.lang = this.locale;
+    return element;
+  }
+
+  /**
+   * Message brut, dans la langue courante ou à défaut en français
+   * @param {string} key - Clé du message, ex. "card.hide"
+   * @returns {string|null} - Null si la clé est inconnue
+   */
+  lookup(key) {
+    for (const locale of [this.locale, this.defaultLocale]) {
+      if (Object.prototype.hasOwnProperty.call(this.messages[locale], key)) {
+        return this.messages[locale][key];
+      }
+    }
+    return null;
+  }
+
+  has(key) {
+    return this.lookup(key) !== null;
+  }
+
+  /**
+   * Traduction d'un message
+   * @param {string} key - Clé du message
+   * @param {Object} [params={}] - Valeurs des arguments, ex. { count: 3 }
+   * @returns {string} - Message mis en forme (la clé si elle est inconnue)
+   */
+  t(key, params = {}) {
+    const message = this.lookup(key);
+    if (message === null) {
+      console.warn(`Message non traduit : ${key}`);
+      return key;
+    }
+    return this.format(message, params);
+  }
+
+  /**
+   * Remplacement des arguments d'un message
+   * @param {string} message - Message au format ICU simplifié
+   * @param {Object} params - Valeurs des arguments
+   * @param {number|null} [count=null] - Nombre affiché à la place de "#"
+   * @returns {string} - Message mis en forme
+   */
+  format(message, params, count = null) {
+    let result = "";
+    let index = 0;
+
+    while (index < message.length) {
+      const char = message[index];
+      const end = char === "{" ? this.findClosingBrace(message, index) : -1;
+
+      if (end !== -1) {
+        result += this.formatArgument(message.slice(index + 1, end), params);
+        index = end + 1;
+      } else {
+        result +=
+          char === "#" && count !== null ? this.formatNumber(count) : char;
+        index++;
+      }
+    }
+
+    return result;
+  }
+
+  // Position de l'accolade fermante correspondante, -1 si elle manque
+  findClosingBrace(text, start) {
+    let depth = 0;
+    for (let index = start; index < text.length; index++) {
+      if (text[index] === "{") depth++;
+      if (text[index] === "}" && --depth === 0) return index;
+    }
+    return -1;
+  }
+
+  /**
+   * Argument simple, pluriel ou sélection
+   * @param {string} body - Contenu entre accolades, ex. "count, plural, …"
+   * @param {Object} params - Valeurs des arguments
+   * @returns {string} - Texte de l'argument
+   */
+  formatArgument(body, params) {
+    const [name, type = "", ...rest] = body.split(",");
+    const value = params[name.trim()];
+    const options = this.parseOptions(rest.join(","));
+
+    switch (type.trim()) {
+      case "plural": {
+        // Valeur exacte (=0) prioritaire sur la catégorie plurielle
+        const count = Number(value);
+        const selector =
+          [`=${count}`, this.selectPlural(count)].find(
+            (key) => key in options
+          ) || "other";
+        return this.format(options[selector] || "", params, count);
+      }
+      case "select": {
+        const selector = String(value) in options ? String(value) : "other";
+        return this.format(options[selector] || "", params);
+      }
+      default:
+        return value === undefined || value === null
+          ? `{${body}}`
+          : String(value);
+    }
+  }
+
+  /**
+   * Branches d'un pluriel ou d'une sélection
+   * @param {string} text - Ex. "one {# article} other {# articles}"
+   * @returns {Object} - Texte de chaque branche par sélecteur
+   */
+  parseOptions(text) {
+    const options = Object.create(null);
+    let index = 0;
+
+    while (index < text.length) {
+      const start = text.indexOf("{", index);
+      const end = start === -1 ? -1 : this.findClosingBrace(text, start);
+      if (end === -1) break;
+
+      options[text.slice(index, start).trim()] = text.slice(start + 1, end);
+      index = end + 1;
+    }
+
+    return options;
+  }
+
+  /**
+   * Catégorie plurielle d'un nombre (en français, 0 et 1 sont au singulier)
+   * @param {number} count - Nombre
+   * @returns {string} - "one", "other"…
+   */
+  selectPlural(count) {
+    if (typeof Intl === "undefined" || typeof Intl.PluralRules !== "function") {
+      return count === 1 ? "one" : "other";
+    }
+
+    if (!this.pluralRules.has(this.locale)) {
+      this.pluralRules.set(this.locale, new Intl.PluralRules(this.locale));
+    }
+    return this.pluralRules.get(this.locale).select(count);
+  }
+
+  formatNumber(number) {
+    return Number(number).toLocaleString(this.locale);
+  }
+
+  /**
+   * Date complète dans la langue courante
+   * @param {string} isoDate - Date AAAA-MM-JJ
+   * @param {Object} [options] - Options de Intl.DateTimeFormat
+   * @returns {string} - Ex. "2 juin 2025" ou "June 2, 2025"
+   */
+  formatDate(
+    isoDate,
+    options = { day: "numeric", month: "long", year: "numeric" }
+  ) {
+    const date = new Date(`${isoDate}T00:00:00`);
+    if (isNaN(date.getTime())) return isoDate;
+
+    return date.toLocaleDateString(this.locale, options);
+  }
+}
+
+// Instance partagée : la langue est fixée au chargement de la page
+const i18n = new I18n();
+
+/**
+ * Sélecteur de langue placé en pied de page ; la page est rechargée
+ * pour que tous les composants affichent la nouvelle langue
+ */
+class LocaleSwitcher {
+  constructor(translator = i18n) {
+    this.i18n = translator;
+    this.select = null;
+    this.init();
+  }
+
+  init() {
+    const container = document.querySelector(".footer-bottom");
+    if (!container) {
+      console.warn("Pied de page non trouvé pour le sélecteur de langue");
+      return;
+    }
+
+    const label = document.createElement("label");
+    const text = document.createElement("span");
+    label.className = "locale-switcher";
+    text.textContent = this.i18n.t("locale.label");
+    this.i18n.applyLanguage(text);
+
+    this.select = document.createElement("select");
+    this.select.id = "locale-select";
+    this.i18n.locales.forEach((locale) => {
+      // Chaque langue est proposée sous son propre nom
+      const option = document.createElement("option");
+      option.value = locale;
+      option.lang = locale;
+      option.textContent = this.i18n.messages[locale]["locale.name"];
+      this.select.appendChild(option);
+    });
+    this.select.value = this.i18n.locale;
+
+    this.select.addEventListener("change", () => {
+      if (this.i18n.setLocale(this.select.value)) window.location.reload();
+    });
+
+    label.appendChild(text);
+    label.appendChild(this.select);
+    container.appendChild(label);
+  }
+}
+
+// =============================================================================
+// CATALOGUE D'ARTICLES
+// =============================================================================
+
+class ArticleCatalogue {
+  constructor(url = "assets/data/articles.json") {
+    this.url = url;
+    this.entries = null;
+    this.loadPromise = null;
+    this.loadError = null;
+    this.articles = [];
+    this.retryListeners = new Set();
+  }
+
+  /**
+   * Chargement du catalogue (une seule requête, partagée par les composants)
+   * @returns {Promise<Object[]>} - Entrées du catalogue, les plus récentes d'abord
+   */
+  load() {
+    if (this.loadPromise) return this.loadPromise;
+
+    const request =
+      typeof fetch === "function"
+        ? fetch(this.url).then((response) => {
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return response.json();
+          })
+        : Promise.reject(new Error("fetch indisponible"));
+
+    this.loadPromise = request.then((entries) => {
+      this.entries = (Array.isArray(entries) ? entries : [])
+        .filter((entry) => entry && entry.id && entry.title && entry.category)
+        .map((entry) => ({ ...entry, tags: this.normalizeTags(entry.tags) }))
+        .sort((a, b) => (b.date || "").localeCompare(a.date || ""));
+      return this.entries;
+    });
+
+    // Un échec ne doit pas être mis en cache : nouvel essai au prochain appel
+    this.loadPromise.catch(() => {
+      this.loadPromise = null;
+    });
+
+    return this.loadPromise;
+  }
+
+  /**
+   * Tags d'une entrée : slugs uniques, entrées invalides ignorées
+   * @param {*} tags - Valeur brute du champ "tags"
+   * @returns {string[]} - Slugs des tags
+   */
+  normalizeTags(tags) {
+    if (!Array.isArray(tags)) return [];
+
+    return [
+      ...new Set(
+        tags
+          .filter((tag) => typeof tag === "string")
+          .map(slugify)
+          .filter(Boolean)
+      ),
+    ];
+  }
+
+  getElementId(entry) {
+    return `article-${entry.id}`;
+  }
+
+  // Les tags renvoient vers le listing filtré (interceptés par ArticleFilter)
+  getTagUrl(tag) {
+    return `articles.html?tag=${encodeURIComponent(tag)}`;
+  }
+
+  // Sans page dédiée, le lien pointe vers la carte dans le listing
+  getArticleUrl(entry) {
+    return entry.url || `articles.html#${this.getElementId(entry)}`;
+  }
+
+  /**
+   * Création d'une carte d'article à partir d'une entrée du catalogue
+   * Le squelette est statique : les données passent par textContent/attributs
+   * @param {Object} entry - Entrée du catalogue
+   * @returns {HTMLElement} - Élément <article class="card">
+   */
+  createCard(entry) {
+    const template = document.createElement("template");
+    template.innerHTML = `
+      <article class="card">
+        <a class="card-media">
+          <picture>
+            <img width="600" height="400" loading="lazy" decoding="async" />
+          </picture>
+          <span class="badge badge-green"></span>
+        </a>
+        <div class="card-body">
+          <h3 class="card-title"><a></a></h3>
+          <div class="card-details">
+            <div class="meta">
+              <span class="meta-item">
+                <svg class="icon-cal-mini" viewBox="0 0 16 16" aria-hidden="true">
+                  <rect x="1" y="3" width="14" height="12" rx="2" ry="2" />
+                  <path d="M1 6h14M5 1v4M11 1v4" />
+                </svg>
+                <time></time>
+              </span>
+            </div>
+            <p class="card-excerpt"></p>
+          </div>
+          <div class="card-actions">
+            <a class="btn btn-blue">${i18n.t("card.readMore")}</a>
+            <button class="bookmark-btn" type="button" aria-pressed="false">
+              ${i18n.t("card.readLater")}
+            </button>
+            <button class="article-toggle-btn" aria-expanded="true">
+              ${i18n.t("card.hide")}
+            </button>
+          </div>
+        </div>
+      </article>`;
+
+    const card = template.content.firstElementChild;
+    const url = this.getArticleUrl(entry);
+    const image = entry.image || {};
+
+    card.id = this.getElementId(entry);
+    card.dataset.category = entry.category;
+    card.querySelectorAll("a").forEach((link) => (link.href = url));
+
+    const picture = card.querySelector("picture");
+    const img = card.querySelector("img");
+    if (image.webp) {
+      const source = document.createElement("source");
+      source.srcset = image.webp;
+      source.type = "image/webp";
+      picture.insertBefore(source, img);
+    }
+    img.src = image.src || "";
+    img.alt = image.alt || "";
+
+    card.querySelector(".badge").textContent = formatLabel(entry.category);
+    card.querySelector(".card-title a").textContent = entry.title;
+
+    const time = card.querySelector("time");
+    time.dateTime = entry.date || "";
+    time.textContent = entry.date ? formatCardDate(entry.date) : "";
+    i18n.applyLanguage(time);
+
+    card.querySelector(".card-excerpt").textContent = entry.excerpt || "";
+    i18n.applyLanguage(card.querySelector(".card-actions"));
+
+    // Bouton de masquage : contrôle l'image et le détail de la carte
+    const toggleButton = card.querySelector(".article-toggle-btn");
+    card.querySelector(".card-media").id = `${card.id}-media`;
+    card.querySelector(".card-details").id = `${card.id}-details`;
+    card.querySelector(".card-title").id = `${card.id}-title`;
+    toggleButton.dataset.articleId = card.id;
+    toggleButton.setAttribute(
+      "aria-controls",
+      `${card.id}-media ${card.id}-details`
+    );
+    toggleButton.setAttribute("aria-describedby", `${card.id}-title`);
+
+    const bookmarkButton = card.querySelector(".bookmark-btn");
+    bookmarkButton.dataset.articleId = card.id;
+    bookmarkButton.setAttribute("aria-describedby", `${card.id}-title`);
+
+    const tags = entry.tags || [];
+    if (tags.length) {
+      const list = document.createElement("ul");
+      list.className = "card-tags";
+      list.setAttribute("aria-label", i18n.t("card.tags"));
+
+      tags.forEach((tag) => {
+        const item = document.createElement("li");
+        const link = document.createElement("a");
+        link.className = "card-tag";
+        link.href = this.getTagUrl(tag);
+        link.dataset.tag = tag;
+        link.textContent = `#${formatLabel(tag)}`;
+        item.appendChild(link);
+        list.appendChild(item);
+      });
+
+      card.querySelector(".card-excerpt").after(list);
+    }
+
+    return card;
+  }
+
+  /**
+   * Rendu des grilles marquées data-catalogue (data-limit optionnel) ; les
+   * cartes pré-rendues par npm run build:articles sont remplacées
+   * @returns {Promise<Object[]>} - Modèle des articles affichés
+   */
+  render() {
+    const containers = document.querySelectorAll(".cards-grid[data-catalogue]");
+    if (!containers.length) return Promise.resolve([]);
+
+    return this.load()
+      .then((entries) => {
+        this.loadError = null;
+        this.articles = [];
+
+        containers.forEach((container) => {
+          const limit = parseInt(container.dataset.limit, 10);
+          const visibleEntries =
+            limit > 0 ? entries.slice(0, limit) : entries.slice();
+          const fragment = document.createDocumentFragment();
+
+          visibleEntries.forEach((entry) => {
+            const element = this.createCard(entry);
+            fragment.appendChild(element);
+
+            // Modèle partagé par les composants d'articles
+            this.articles.push({
+              element,
+              id: entry.id,
+              category: entry.category.toLowerCase(),
+              tags: entry.tags || [],
+              title: entry.title,
+              url: this.getArticleUrl(entry),
+              excerpt: entry.excerpt || "",
+              date: entry.date || "",
+              order: this.articles.length,
+              visible: true,
+            });
+          });
+
+          container.textContent = "";
+          container.appendChild(fragment);
+        });
+
+        return this.articles;
+      })
+      .catch((error) => {
+        console.error("Erreur lors du chargement des articles:", error);
+        this.loadError = error;
+        containers.forEach((container) => this.renderError(container));
+        return [];
+      });
+  }
+
+  /**
+   * Message d'échec avec bouton "Réessayer" ; les cartes pré-rendues restent
+   * lisibles, sans les fonctions interactives
+   * @param {HTMLElement} container - Grille data-catalogue
+   */
+  renderError(container) {
+    const previous = container.querySelector(".cards-error");
+    if (previous) previous.remove();
+
+    const hasCards = Boolean(container.querySelector(".card"));
+    const error = document.createElement("div");
+    error.className = "cards-error";
+    error.setAttribute("role", "alert");
+    i18n.applyLanguage(error);
+    error.innerHTML = `
+      <p>${i18n.t(hasCards ? "catalogue.degraded" : "catalogue.error")}</p>
+      <button type="button" class="btn btn-blue">${i18n.t(
+        "catalogue.retry"
+      )}</button>`;
+
+    error.querySelector("button").addEventListener("click", (e) => {
+      e.currentTarget.disabled = true;
+      this.retry(container);
+    });
+    container.insertBefore(error, container.firstChild);
+  }
+
+  /**
+   * Nouvel essai de chargement ; le focus suit le résultat (première carte
+   * ou nouveau bouton "Réessayer")
+   * @param {HTMLElement} [container] - Grille d'où vient la demande
+   * @returns {Promise<Object[]>} - Modèle des articles affichés
+   */
+  retry(container = null) {
+    return this.render().then((articles) => {
+      if (!this.loadError) {
+        this.retryListeners.forEach((listener) => listener(articles));
+      }
+
+      // Après les composants (ex. recommandations qui réordonnent les cartes)
+      if (container) {
+        const focusTarget = container.querySelector(
+          this.loadError ? ".cards-error button" : ".card-title a"
+        );
+        if (focusTarget) focusTarget.focus();
+      }
+      return articles;
+    });
+  }
+
+  /**
+   * Abonnement au rendu réussi après un nouvel essai
+   * @param {Function} listener - Reçoit le modèle des articles affichés
+   */
+  addRetryListener(listener) {
+    this.retryListeners.add(listener);
+  }
+}
+
+// =============================================================================
+// VISIBILITÉ DES ARTICLES
+// =============================================================================
+
+/**
+ * Modèle de visibilité partagé par ArticleToggle et ArticleFilter :
+ * une carte n'est affichée que si toutes les règles actives l'autorisent,
+ * dans l'ordre et la limite (pagination) fixés par le filtre ; une carte
+ * masquée par l'utilisateur reste affichée, réduite à son titre
+ */
+class ArticleVisibility {
+  constructor(articles = []) {
+    this.articles = articles;
+    this.rules = new Map();
+    this.collapseRules = new Map();
+    this.collapsedCount = 0;
+    this.compare = null;
+    this.limit = Infinity;
+    this.matchingArticles = articles.slice();
+    this.changeListeners = new Set();
+  }
+
+  /**
+   * Ajout ou remplacement d'une règle
+   * @param {string} name - Nom de la règle, ex. "filter" ou "user"
+   * @param {Function} predicate - Reçoit un article, true s'il peut être affiché
+   */
+  setRule(name, predicate) {
+    this.rules.set(name, predicate);
+  }
+
+  /**
+   * Ajout ou remplacement d'une règle de réduction : l'article reste affiché
+   * et compté parmi les résultats, réduit à son titre (ex. masqué par
+   * l'utilisateur)
+   * @param {string} name - Nom de la règle, ex. "user"
+   * @param {Function} predicate - Reçoit un article, true s'il doit être réduit
+   */
+  setCollapseRule(name, predicate) {
+    this.collapseRules.set(name, predicate);
+  }
+
+  /**
+   * @param {Object} article - Article du modèle
+   * @returns {boolean} - True si une règle de réduction s'applique
+   */
+  isCollapsed(article) {
+    for (const predicate of this.collapseRules.values()) {
+      if (predicate(article)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * @param {Object} article - Article du modèle
+   * @param {string} [ignoredRule] - Règle à ignorer (ex. compteurs des facettes)
+   * @returns {boolean} - True si toutes les autres règles autorisent l'article
+   */
+  isAllowed(article, ignoredRule = null) {
+    for (const [name, predicate] of this.rules) {
+      if (name !== ignoredRule && !predicate(article)) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Application des règles aux cartes (seul endroit qui les masque)
+   * @returns {number} - Nombre d'articles affichés
+   */
+  update() {
+    this.matchingArticles = this.articles.filter((article) =>
+      this.isAllowed(article)
+    );
+    if (this.compare) this.matchingArticles.sort(this.compare);
+
+    const shownArticles = new Set(this.matchingArticles.slice(0, this.limit));
+    this.collapsedCount = 0;
+
+    this.articles.forEach((article) => {
+      const shouldShow = shownArticles.has(article);
+      const isCollapsed = shouldShow && this.isCollapsed(article);
+
+      if (shouldShow) {
+        article.element.style.display = "";
+        article.element.removeAttribute("aria-hidden");
+      } else {
+        article.element.style.display = "none";
+        article.element.setAttribute("aria-hidden", "true");
+      }
+      article.element.classList.toggle("is-collapsed", isCollapsed);
+      article.visible = shouldShow;
+      article.collapsed = isCollapsed;
+      if (isCollapsed) this.collapsedCount++;
+    });
+
+    this.changeListeners.forEach((listener) => listener(shownArticles.size));
+    return shownArticles.size;
+  }
+
+  /**
+   * Abonnement aux mises à jour, quelle que soit la règle modifiée
+   * @param {Function} listener - Reçoit le nombre d'articles affichés
+   */
+  addChangeListener(listener) {
+    this.changeListeners.add(listener);
+  }
+}
+
+// =============================================================================
+// NOTIFICATIONS (TOASTS)
+// =============================================================================
+
+/**
+ * Notifications non bloquantes empilées en bas de l'écran, annoncées par
+ * une région live ; le délai est suspendu au survol et au focus
+ */
+class ToastManager {
+  constructor(duration = 6000) {
+    this.duration = duration;
+    this.region = null;
+    this.init();
+  }
+
+  init() {
+    this.region = document.createElement("div");
+    this.region.className = "toast-region";
+    this.region.setAttribute("aria-live", "polite");
+    this.region.setAttribute("aria-relevant", "additions");
+    i18n.applyLanguage(this.region);
+    document.body.appendChild(this.region);
+  }
+
+  /**
+   * Affichage d'une notification
+   * @param {Object} options - Contenu et comportement
+   * @param {string} options.message - Texte de la notification
+   * @param {string} [options.actionLabel] - Libellé du bouton d'action (ex. "Annuler")
+   * @param {Function} [options.onAction] - Appelée au clic sur l'action
+   * @param {Function} [options.onDismiss] - Appelée à l'expiration ou à la fermeture,
+   *   reçoit { hadFocus } pour replacer le focus si besoin
+   * @param {boolean} [options.focus=false] - Focus immédiat sur le bouton d'action
+   * @returns {{element: HTMLElement, close: Function}} - Notification affichée
+   */
+  show({
+    message,
+    actionLabel = "",
+    onAction = null,
+    onDismiss = null,
+    focus = false,
+  }) {
+    const toast = document.createElement("div");
+    const text = document.createElement("p");
+    const closeButton = document.createElement("button");
+    let actionButton = null;
+    let timer = null;
+    let isClosed = false;
+    let isHovered = false;
+
+    toast.className = "toast";
+    text.className = "toast-message";
+    text.textContent = message;
+    toast.appendChild(text);
+
+    const close = (reason) => {
+      if (isClosed) return;
+      isClosed = true;
+      clearTimeout(timer);
+
+      const hadFocus = toast.contains(document.activeElement);
+      toast.remove();
+
+      if (reason === "action" && onAction) onAction({ hadFocus });
+      if (reason !== "action" && onDismiss) onDismiss({ hadFocus });
+    };
+
+    const startTimer = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => close("timeout"), this.duration);
+    };
+
+    if (actionLabel) {
+      actionButton = document.createElement("button");
+      actionButton.type = "button";
+      actionButton.className = "toast-action";
+      actionButton.textContent = actionLabel;
+      actionButton.addEventListener("click", () => close("action"));
+      toast.appendChild(actionButton);
+    }
+
+    closeButton.type = "button";
+    closeButton.className = "toast-close";
+    closeButton.setAttribute("aria-label", i18n.t("toast.close"));
+    closeButton.textContent = "×";
+    closeButton.addEventListener("click", () => close("dismiss"));
+    toast.appendChild(closeButton);
+
+    // Temps de lecture suffisant : pas d'expiration pendant l'interaction
+    toast.addEventListener("mouseenter", () => {
+      isHovered = true;
+      clearTimeout(timer);
+    });
+    toast.addEventListener("mouseleave", () => {
+      isHovered = false;
+      if (!toast.contains(document.activeElement)) startTimer();
+    });
+    toast.addEventListener("focusin", () => clearTimeout(timer));
+    toast.addEventListener("focusout", (e) => {
+      if (!toast.contains(e.relatedTarget) && !isHovered) startTimer();
+    });
+    toast.addEventListener("keydown", (e) => {
+      if (e.key === "Escape") close("dismiss");
+    });
+
+    this.region.appendChild(toast);
+
+    // Le focus automatique ne suspend pas le délai, contrairement à une interaction
+    if (focus && actionButton) actionButton.focus();
+    startTimer();
+
+    return { element: toast, close: () => close("dismiss") };
+  }
+}
+
+// =============================================================================
+// DIALOGUES MODAUX (PIÈGE À FOCUS)
+// =============================================================================
+
+// Pièges actifs, du plus ancien au premier plan (dialogues imbriqués)
+const focusTraps = [];
+
+/**
+ * Piège à focus des dialogues modaux (menu mobile, futurs overlays) :
+ * Tab et Maj+Tab bouclent dans le conteneur, le reste de la page devient
+ * inert et le focus revient à son point de départ à la fermeture
+ */
+class FocusTrap {
+  /**
+   * @param {HTMLElement} container - Contenu du dialogue
+   * @param {Object} [options]
+   * @param {HTMLElement[]} [options.exclude] - Éléments laissés actifs hors du
+   *   dialogue (ex. bouton d'ouverture, fond cliquable)
+   * @param {Function} [options.onEscape] - Appelée sur Échap (ex. fermeture)
+   * @param {HTMLElement} [options.initialFocus] - Élément focalisé à l'ouverture
+   */
+  constructor(
+    container,
+    { exclude = [], onEscape = null, initialFocus = null } = {}
+  ) {
+    this.container = container;
+    this.exclude = exclude.filter(Boolean);
+    this.onEscape = onEscape;
+    this.initialFocus = initialFocus;
+    this.focusableSelector =
+      'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+    this.inertElements = [];
+    this.returnFocus = null;
+    this.handleKeydown = (e) => this.onKeydown(e);
+  }
+
+  isActive() {
+    return focusTraps.includes(this);
+  }
+
+  // Piège au premier plan : seul à réagir au clavier
+  isTopmost() {
+    return focusTraps[focusTraps.length - 1] === this;
+  }
+
+  activate() {
+    if (!this.container || this.isActive()) return;
+
+    this.returnFocus = document.activeElement;
+    focusTraps.push(this);
+    this.inertElements = [];
+    [...document.body.children].forEach((element) => this.makeInert(element));
+    document.addEventListener("keydown", this.handleKeydown);
+
+    const [firstElement] = this.getFocusableElements();
+    const target = this.initialFocus || firstElement || this.container;
+    if (target === this.container && !this.container.hasAttribute("tabindex")) {
+      this.container.setAttribute("tabindex", "-1");
+    }
+    target.focus();
+  }
+
+  /**
+   * Fermeture du piège (et des dialogues ouverts par-dessus)
+   * @param {Object} [options]
+   * @param {boolean} [options.restoreFocus=true] - Retour du focus à l'élément d'origine
+   */
+  deactivate({ restoreFocus = true } = {}) {
+    const index = focusTraps.indexOf(this);
+    if (index === -1) return;
+
+    focusTraps
+      .slice(index + 1)
+      .reverse()
+      .forEach((trap) => trap.deactivate({ restoreFocus: false }));
+    focusTraps.splice(index, 1);
+
+    this.inertElements.forEach((element) => element.removeAttribute("inert"));
+    this.inertElements = [];
+    document.removeEventListener("keydown", this.handleKeydown);
+
+    if (
+      restoreFocus &&
+      this.returnFocus &&
+      this.returnFocus.isConnected &&
+      typeof this.returnFocus.focus === "function"
+    ) {
+      this.returnFocus.focus();
+    }
+  }
+
+  /**
+   * Mise hors d'atteinte de tout ce qui n'est ni le dialogue ni un élément
+   * exclu ; les éléments déjà inertes (dialogue parent) restent à leur parent
+   * @param {HTMLElement} element - Élément parcouru depuis <body>
+   */
+  makeInert(element) {
+    const isKept = (node) =>
+      node === this.container || this.exclude.includes(node);
+    if (isKept(element) || element.hasAttribute("inert")) return;
+
+    const containsKept = [this.container, ...this.exclude].some((node) =>
+      element.contains(node)
+    );
+    if (containsKept) {
+      [...element.children].forEach((child) => this.makeInert(child));
+    } else if (!["SCRIPT", "STYLE", "TEMPLATE"].includes(element.tagName)) {
+      element.setAttribute("inert", "");
+      this.inertElements.push(element);
+    }
+  }
+
+  getFocusableElements() {
+    return [...this.container.querySelectorAll(this.focusableSelector)].filter(
+      (element) => !element.closest("[hidden], [inert]")
+    );
+  }
+
+  // keydown : la tabulation n'a pas encore eu lieu et peut être redirigée
+  onKeydown(e) {
+    if (!this.isTopmost()) return;
+
+    if (e.key === "Escape" && this.onEscape) {
+      e.preventDefault();
+      this.onEscape();
+      return;
+    }
+    if (e.key !== "Tab") return;
+
+    const focusable = this.getFocusableElements();
+    if (!focusable.length) {
+      e.preventDefault();
+      this.container.focus();
+      return;
+    }
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const active = document.activeElement;
+
+    if (!this.container.contains(active)) {
+      e.preventDefault();
+      (e.shiftKey ? last : first).focus();
+    } else if (e.shiftKey && active === first) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && active === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+}
+
+// =============================================================================
+// VALIDATION DES FORMULAIRES
+// =============================================================================
+
+/**
+ * Validation déclarative des formulaires marqués data-validate
+ * Attributs des champs : data-required, data-min-length, data-max-length,
+ * data-min, data-max, data-pattern, data-type="email" et data-rule (règle
+ * nommée, ex. "name") ; data-error-<règle> remplace le message par défaut
+ */
+class FormValidator {
+  constructor(form, rules = {}) {
+    this.form = form;
+    // Règles nommées : reçoivent la valeur, renvoient un message ou ""
+    this.rules = {
+      name: (value) => validateName(value).message,
+      ...rules,
+    };
+    this.fieldSelector =
+      "[data-required], [data-min-length], [data-max-length], [data-min], [data-max], [data-pattern], [data-type], [data-rule]";
+    // Expressions data-pattern compilées une fois par champ (null si invalide)
+    this.patterns = new WeakMap();
+    this.init();
+  }
+
+  init() {
+    if (!this.form) {
+      console.warn("Formulaire à valider non trouvé");
+      return;
+    }
+
+    this.form.setAttribute("novalidate", "");
+    this.form.addEventListener("reset", () => this.clearErrors());
+
+    // Motifs invalides signalés dès le chargement
+    this.form
+      .querySelectorAll("[data-pattern]")
+      .forEach((field) => this.getPattern(field));
+
+    // Phase de capture : un envoi invalide n'atteint pas les autres gestionnaires
+    this.form.addEventListener(
+      "submit",
+      (e) => {
+        if (!this.validate()) {
+          e.preventDefault();
+          e.stopImmediatePropagation();
+        }
+      },
+      true
+    );
+
+    // Vérification à la sortie du champ, puis à chaque saisie une fois signalé
+    this.form.addEventListener("focusout", (e) => {
+      if (this.isValidated(e.target) && e.target.value !== "") {
+        this.checkField(e.target);
+      }
+    });
+    this.form.addEventListener("input", (e) => {
+      if (
+        this.isValidated(e.target) &&
+        e.target.getAttribute("aria-invalid") === "true"
+      ) {
+        this.checkField(e.target);
+      }
+    });
+  }
+
+  isValidated(element) {
+    return Boolean(element.matches && element.matches(this.fieldSelector));
+  }
+
+  /**
+   * Ajout d'une règle nommée utilisable avec data-rule
+   * @param {string} name - Nom de la règle
+   * @param {Function} rule - (valeur, champ) => message d'erreur ou ""
+   */
+  addRule(name, rule) {
+    this.rules[name] = rule;
+  }
+
+  /**
+   * Expression régulière d'un champ data-pattern (toute la valeur, mode Unicode)
+   * @param {HTMLElement} field - Champ du formulaire
+   * @returns {RegExp|null} - Null si le motif est invalide : la règle est ignorée
+   */
+  getPattern(field) {
+    if (this.patterns.has(field)) return this.patterns.get(field);
+
+    let pattern = null;
+    try {
+      pattern = new RegExp(`^(?:${field.dataset.pattern})$`, "u");
+    } catch (error) {
+      console.warn(
+        `Motif de validation invalide ignoré : ${field.dataset.pattern}`,
+        error
+      );
+    }
+    this.patterns.set(field, pattern);
+    return pattern;
+  }
+
+  /**
+   * Message d'erreur d'un champ
+   * @param {HTMLElement} field - Champ du formulaire
+   * @returns {string} - Message, vide si le champ est valide
+   */
+  getError(field) {
+    const { dataset } = field;
+    const value = field.type === "checkbox" ? "" : field.value.trim();
+    // Messages data-error-* rédigés dans la langue de la page uniquement
+    const hasPageMessages = i18n.locale === i18n.pageLocale;
+    const message = (rule, fallback) =>
+      (hasPageMessages &&
+        dataset[`error${rule.charAt(0).toUpperCase()}${rule.slice(1)}`]) ||
+      fallback;
+
+    if (field.type === "checkbox") {
+      return "required" in dataset && !field.checked
+        ? message("required", i18n.t("form.checkbox"))
+        : "";
+    }
+
+    if (!value) {
+      return "required" in dataset
+        ? message("required", i18n.t("form.required"))
+        : "";
+    }
+
+    const length = countGraphemes(value);
+    const minLength = parseInt(dataset.minLength, 10);
+    const maxLength = parseInt(dataset.maxLength, 10);
+    if (length < minLength) {
+      return message("minLength", i18n.t("form.minLength", { min: minLength }));
+    }
+    if (length > maxLength) {
+      return message("maxLength", i18n.t("form.maxLength", { max: maxLength }));
+    }
+
+    if ("min" in dataset || "max" in dataset) {
+      const number = Number(value);
+      const min = parseFloat(dataset.min);
+      const max = parseFloat(dataset.max);
+      if (isNaN(number) || number < min || number > max) {
+        const key =
+          "min" in dataset && "max" in dataset
+            ? "form.rangeBetween"
+            : "min" in dataset
+            ? "form.rangeMin"
+            : "form.rangeMax";
+        return message("range", i18n.t(key, { min, max }));
+      }
+    }
+
+    if (dataset.type === "email" && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) {
+      return message("email", i18n.t("form.email"));
+    }
+
+    const pattern = dataset.pattern && this.getPattern(field);
+    if (pattern && !pattern.test(value)) {
+      return message("pattern", i18n.t("form.pattern"));
+    }
+
+    if (dataset.rule) {
+      const rule = this.rules[dataset.rule];
+      if (!rule) {
+        console.warn(`Règle de validation inconnue : ${dataset.rule}`);
+        return "";
+      }
+      return rule(value, field) || "";
+    }
+
+    return "";
+  }
+
+  /**
+   * Vérification d'un champ et affichage de son erreur
+   * @param {HTMLElement} field - Champ du formulaire
+   * @returns {boolean} - true si le champ est valide
+   */
+  checkField(field) {
+    const error = this.getError(field);
+    this.showError(field, error);
+    return !error;
+  }
+
+  /**
+   * Vérification de tous les champs ; le focus va au premier champ invalide
+   * @returns {boolean} - true si le formulaire est valide
+   */
+  validate() {
+    const invalidFields = [...this.form.querySelectorAll(this.fieldSelector)]
+      .filter((field) => !field.disabled && !field.closest("[hidden]"))
+      .filter((field) => !this.checkField(field));
+
+    if (invalidFields.length) invalidFields[0].focus();
+    return invalidFields.length === 0;
+  }
+
+  /**
+   * Message d'erreur sous le champ, relié par aria-describedby
+   * @param {HTMLElement} field - Champ du formulaire
+   * @param {string} message - Message d'erreur, vide pour l'effacer
+   */
+  showError(field, message) {
+    const errorId = `${field.id || field.name}-error`;
+    let errorElement = document.getElementById(errorId);
+
+    if (!errorElement && message) {
+      errorElement = document.createElement("p");
+      errorElement.id = errorId;
+      errorElement.className = "field-error";
+      i18n.applyLanguage(errorElement);
+      // Après le groupe (champ + bouton) pour ne pas couper la ligne
+      (field.closest(".input-group") || field).after(errorElement);
+    }
+
+    const describedBy = (field.getAttribute("aria-describedby") || "")
+      .split(" ")
+      .filter((id) => id && id !== errorId);
+    if (message) describedBy.push(errorId);
+
+    if (describedBy.length) {
+      field.setAttribute("aria-describedby", describedBy.join(" "));
+    } else {
+      field.removeAttribute("aria-describedby");
+    }
+    field.setAttribute("aria-invalid", String(Boolean(message)));
+    field.classList.toggle("invalid", Boolean(message));
+
+    if (errorElement) {
+      errorElement.textContent = message;
+      errorElement.hidden = !message;
+    }
+  }
+
+  // Effacement de toutes les erreurs (ex. formulaire réinitialisé)
+  clearErrors() {
+    this.form
+      .querySelectorAll(this.fieldSelector)
+      .forEach((field) => this.showError(field, ""));
+  }
+}
+
+// =============================================================================
+// FONCTIONNALITÉ 1: MESSAGE DE BIENVENUE PERSONNALISÉ
+// =============================================================================
+
+/**
+ * Profil de coureur facultatif, enregistré uniquement avec le consentement
+ * du visiteur ; toutes les valeurs sont revalidées à la lecture
+ */
+class RunnerProfile {
+  constructor(storageKey = "runtogether:runner-profile") {
+    this.storageKey = storageKey;
+    this.levels = {
+      debutant: i18n.t("profile.level.debutant"),
+      intermediaire: i18n.t("profile.level.intermediaire"),
+      confirme: i18n.t("profile.level.confirme"),
+    };
+    this.goals = {
+      "5k": i18n.t("profile.goal.5k"),
+      "10k": i18n.t("profile.goal.10k"),
+      semi: i18n.t("profile.goal.semi"),
+      marathon: i18n.t("profile.goal.marathon"),
+      trail: i18n.t("profile.goal.trail"),
+    };
+    this.maxVolume = 300;
+    this.changeListeners = new Set();
+  }
+
+  /**
+   * Abonnement aux changements du profil (enregistrement, effacement)
+   * @param {Function} listener - Appelé sans argument
+   */
+  addChangeListener(listener) {
+    this.changeListeners.add(listener);
+  }
+
+  notifyChange() {
+    this.changeListeners.forEach((listener) => listener());
+  }
+
+  /**
+   * Volume hebdomadaire en kilomètres
+   * @param {*} value - Saisie brute
+   * @returns {number|null} - Entier de 0 à maxVolume, null si absent ou invalide
+   */
+  parseVolume(value) {
+    if (value === null || value === undefined || value === "") return null;
+
+    const volume = Number(value);
+    return Number.isInteger(volume) && volume >= 0 && volume <= this.maxVolume
+      ? volume
+      : null;
+  }
+
+  /**
+   * Profil nettoyé : prénom obligatoire, autres champs facultatifs
+   * @param {Object} data - { name, level, goal, volume }
+   * @returns {Object|null} - Profil valide ou null
+   */
+  normalize(data) {
+    if (!data || !validateName(data.name).valid) return null;
+
+    return {
+      name: data.name.trim(),
+      level: Object.keys(this.levels).includes(data.level) ? data.level : "",
+      goal: Object.keys(this.goals).includes(data.goal) ? data.goal : "",
+      volume: this.parseVolume(data.volume),
+    };
+  }
+
+  load() {
+    return this.normalize(readStorage(this.storageKey, null));
+  }
+
+  save(data) {
+    const profile = this.normalize(data);
+    if (!profile || !writeStorage(this.storageKey, profile)) return false;
+
+    this.notifyChange();
+    return true;
+  }
+
+  clear() {
+    removeStorage(this.storageKey);
+    this.notifyChange();
+  }
+
+  /**
+   * Résumé lisible du profil
+   * @param {Object} profile - Profil normalisé
+   * @returns {string} - Ex. "Niveau débutant · objectif 10 km · 20 km par semaine"
+   */
+  describe(profile) {
+    const details = [];
+    if (profile.level) {
+      details.push(
+        i18n.t("profile.level", {
+          level: this.levels[profile.level].toLowerCase(),
+        })
+      );
+    }
+    if (profile.goal) {
+      details.push(i18n.t("profile.goal", { goal: this.goals[profile.goal] }));
+    }
+    if (profile.volume !== null) {
+      details.push(i18n.t("profile.volume", { volume: profile.volume }));
+    }
+
+    if (!details.length) return i18n.t("profile.empty");
+    const text = details.join(" · ");
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  }
+}
+
+class WelcomeMessage {
+  constructor(profile = new RunnerProfile()) {
+    this.profile = profile;
+    this.init();
+  }
+
+  init() {
+    const form = document.getElementById("welcome-form");
+    const nameInput = document.getElementById("name-input");
+    const welcomeBtn = document.getElementById("welcome-btn");
+    const messageArea = document.getElementById("welcome-message");
+
+    if (!form || !nameInput || !welcomeBtn || !messageArea) {
+      console.warn("Éléments du formulaire de bienvenue non trouvés");
+      return;
+    }
+
+    this.form = form;
+    this.nameInput = nameInput;
+    this.messageArea = messageArea;
+
+    // Champs du profil de coureur (facultatifs selon la page)
+    this.fields = {
+      level: document.getElementById("profile-level"),
+      goal: document.getElementById("profile-goal"),
+      volume: document.getElementById("profile-volume"),
+      consent: document.getElementById("profile-consent"),
+    };
+    this.summary = document.getElementById("profile-summary");
+
+    // Gestionnaire d'événements avec validation et sécurité
+    const handleWelcome = (e) => {
+      e.preventDefault();
+
+      const nameValue = nameInput.value;
+
+      // Contrôle de sécurité : FormValidator bloque déjà les envois invalides
+      const nameCheck = validateName(nameValue);
+      if (!nameCheck.valid) {
+        this.showMessage(nameCheck.message, "error", messageArea);
+        nameInput.focus();
+        return;
+      }
+
+      // Volume hebdomadaire facultatif : nombre entier de kilomètres
+      const { level, goal, volume, consent } = this.fields;
+      const volumeValue = volume ? volume.value.trim() : "";
+      if (volumeValue && this.profile.parseVolume(volumeValue) === null) {
+        this.showMessage(
+          i18n.t("welcome.volumeError", { max: this.profile.maxVolume }),
+          "error",
+          messageArea
+        );
+        volume.focus();
+        return;
+      }
+
+      // Profil enregistré seulement avec le consentement du visiteur
+      if (consent && consent.checked && this.summary) {
+        const profile = this.profile.normalize({
+          name: nameValue,
+          level: level ? level.value : "",
+          goal: goal ? goal.value : "",
+          volume: volumeValue,
+        });
+        if (this.profile.save(profile)) {
+          this.showProfile(profile, "welcome.greeting");
+          this.summary.querySelector("button").focus();
+          return;
+        }
+      } else {
+        // Consentement retiré lors d'une modification : données effacées
+        this.profile.clear();
+      }
+
+      // Sanitisation et affichage du message
+      const safeName = sanitizeInput(nameValue);
+      const welcomeText = i18n.t("welcome.greeting", { name: safeName });
+
+      this.showMessage(welcomeText, "success", messageArea);
+
+      // Nettoyage du formulaire
+      nameInput.value = "";
+    };
+
+    // Événements (validation en ligne assurée par FormValidator)
+    form.addEventListener("submit", handleWelcome);
+
+    this.initProfileActions();
+
+    // Visiteur connu : accueil automatique avec son profil
+    const savedProfile = this.profile.load();
+    if (savedProfile) this.showProfile(savedProfile, "welcome.returning");
+  }
+
+  initProfileActions() {
+    if (!this.summary) return;
+
+    const editButton = document.getElementById("profile-edit");
+    const forgetButton = document.getElementById("profile-forget");
+    if (editButton) {
+      editButton.addEventListener("click", () => this.editProfile());
+    }
+    if (forgetButton) {
+      forgetButton.addEventListener("click", () => this.forgetProfile());
+    }
+  }
+
+  /**
+   * Accueil d'un visiteur dont le profil est enregistré (formulaire replié)
+   * @param {Object} profile - Profil normalisé
+   * @param {string} greetingKey - "welcome.greeting" ou "welcome.returning"
+   */
+  showProfile(profile, greetingKey) {
+    if (!this.summary) return;
+
+    this.form.hidden = true;
+    this.summary.hidden = false;
+    const summaryText = this.summary.querySelector(".profile-summary-text");
+    summaryText.textContent = this.profile.describe(profile);
+    i18n.applyLanguage(summaryText);
+
+    const safeName = sanitizeInput(profile.name);
+    this.showMessage(
+      i18n.t(greetingKey, { name: safeName }),
+      "success",
+      this.messageArea,
+      0
+    );
+  }
+
+  // Formulaire rouvert et prérempli avec le profil enregistré
+  editProfile() {
+    const profile = this.profile.load();
+    const { level, goal, volume, consent } = this.fields;
+
+    if (profile) {
+      this.nameInput.value = profile.name;
+      if (level) level.value = profile.level;
+      if (goal) goal.value = profile.goal;
+      if (volume) volume.value = profile.volume === null ? "" : profile.volume;
+      if (consent) consent.checked = true;
+    }
+
+    this.summary.hidden = true;
+    this.form.hidden = false;
+    this.messageArea.textContent = "";
+    this.nameInput.focus();
+  }
+
+  forgetProfile() {
+    this.profile.clear();
+    this.form.reset();
+
+    this.summary.hidden = true;
+    this.form.hidden = false;
+    this.showMessage(i18n.t("welcome.forgotten"), "success", this.messageArea);
+    this.nameInput.focus();
+  }
+
+  /**
+   * Affichage d'un message dans la zone de bienvenue
+   * @param {string} text - Message (HTML déjà sécurisé)
+   * @param {string} type - "success" ou "error"
+   * @param {HTMLElement} container - Zone d'affichage
+   * @param {number} [duration=5000] - Durée d'affichage en ms, 0 pour le conserver
+   */
+  showMessage(text, type, container, duration = 5000) {
+    container.innerHTML = `<div class="message message--${type}" role="alert" aria-live="polite">${text}</div>`;
+    const message = container.firstChild;
+    i18n.applyLanguage(message);
+    if (!duration) return;
+
+    // Suppression automatique du message (seulement s'il est encore affiché)
+    setTimeout(() => message.remove(), duration);
+  }
+}
+
+// =============================================================================
+// FONCTIONNALITÉ 2: MASQUER/AFFICHER ARTICLES
+// =============================================================================
+
+class ArticleToggle {
+  constructor(
+    articles = [],
+    visibility = new ArticleVisibility(articles),
+    toasts = null
+  ) {
+    this.articles = articles;
+    this.visibility = visibility;
+    this.toasts = toasts;
+    // Notification "Annuler" ouverte pour chaque article masqué
+    this.undoToasts = new Map();
+    // Articles masqués parmi ceux de la page courante
+    this.hiddenArticles = new Set();
+    this.storageKey = "runtogether:hidden-articles";
+    // Masqués sur d'autres pages (ex. accueil limité à 6) : conservés tels quels
+    this.otherPageIds = [];
+    this.bar = null;
+    this.init();
+  }
+
+  init() {
+    // Règle "masqué par l'utilisateur" : la carte reste dans la grille, réduite
+    this.visibility.setCollapseRule("user", (article) =>
+      this.hiddenArticles.has(article.element.id)
+    );
+
+    // Boutons des cartes issues du catalogue
+    this.articles.forEach((article) => {
+      const button = article.element.querySelector(".article-toggle-btn");
+      if (button) {
+        button.addEventListener("click", (e) => this.handleToggle(e));
+      }
+    });
+
+    if (!this.articles.length) return;
+
+    this.createBar();
+
+    // Réapplication des articles masqués lors des visites précédentes
+    const savedIds = new Set(this.loadHiddenArticles());
+    const pageIds = new Set(this.articles.map(({ element }) => element.id));
+    this.otherPageIds = [...savedIds].filter((id) => !pageIds.has(id));
+
+    this.articles.forEach(({ element }) => {
+      const button = element.querySelector(".article-toggle-btn");
+      if (savedIds.has(element.id) && button) {
+        this.hideArticle(element, button, element.id);
+      }
+    });
+  }
+
+  /**
+   * Identifiants masqués enregistrés (toutes pages confondues)
+   * @returns {string[]} - Identifiants des cartes, ex. "article-premier-trail"
+   */
+  loadHiddenArticles() {
+    const savedIds = readStorage(this.storageKey, []);
+    return Array.isArray(savedIds)
+      ? savedIds.filter((id) => typeof id === "string")
+      : [];
+  }
+
+  saveHiddenArticles() {
+    writeStorage(this.storageKey, [
+      ...this.otherPageIds,
+      ...this.hiddenArticles,
+    ]);
+  }
+
+  // Barre "N articles masqués — tout réafficher" placée avant la grille
+  createBar() {
+    const grid = this.articles[0].element.parentNode;
+    if (!grid || !grid.parentNode) return;
+
+    this.bar = document.createElement("div");
+    this.bar.className = "hidden-articles-bar";
+    this.bar.hidden = true;
+    i18n.applyLanguage(this.bar);
+
+    const status = document.createElement("span");
+    status.className = "hidden-articles-count";
+    status.setAttribute("role", "status");
+
+    const showAllButton = document.createElement("button");
+    showAllButton.type = "button";
+    showAllButton.className = "btn-link";
+    showAllButton.textContent = i18n.t("hidden.showAll");
+    showAllButton.addEventListener("click", () => {
+      const restoredIds = [...this.hiddenArticles];
+      this.showAllArticles();
+
+      // La barre disparaît : le focus passe au premier article réaffiché
+      const firstRestored = document.getElementById(restoredIds[0]);
+      const focusTarget =
+        firstRestored && firstRestored.querySelector(".card-title a");
+      if (focusTarget) focusTarget.focus();
+    });
+
+    this.bar.appendChild(status);
+    this.bar.appendChild(document.createTextNode(" — "));
+    this.bar.appendChild(showAllButton);
+    grid.parentNode.insertBefore(this.bar, grid);
+  }
+
+  updateBar() {
+    if (!this.bar) return;
+
+    const count = this.hiddenArticles.size;
+    this.bar.hidden = count === 0;
+    this.bar.querySelector(".hidden-articles-count").textContent = i18n.t(
+      "hidden.count",
+      { count }
+    );
+  }
+
+  handleToggle(e) {
+    const button = e.target;
+    const articleId = button.dataset.articleId;
+
+    if (!articleId) {
+      console.warn("ID d'article manquant");
+      return;
+    }
+
+    const article = document.getElementById(articleId);
+    if (!article) {
+      console.warn(`Article avec l'ID ${articleId} non trouvé`);
+      return;
+    }
+
+    const isHidden = this.hiddenArticles.has(articleId);
+
+    if (isHidden) {
+      this.showArticle(article, button, articleId);
+    } else {
+      this.hideArticle(article, button, articleId);
+      this.showUndoToast(article, button, articleId);
+    }
+  }
+
+  /**
+   * Notification "Article masqué — Annuler", annoncée sans déplacer le focus
+   * (il reste sur le bouton "Afficher" de la carte réduite)
+   * @param {HTMLElement} article - Carte masquée
+   * @param {HTMLElement} button - Bouton de masquage de la carte
+   * @param {string} articleId - Identifiant de la carte
+   */
+  showUndoToast(article, button, articleId) {
+    if (!this.toasts) return;
+
+    const titleElement = article.querySelector(".card-title");
+    const title = titleElement ? titleElement.textContent.trim() : "";
+
+    const toast = this.toasts.show({
+      message: title
+        ? i18n.t("toast.hidden", { title })
+        : i18n.t("toast.hiddenUntitled"),
+      actionLabel: i18n.t("toast.undo"),
+      onAction: () => {
+        this.undoToasts.delete(articleId);
+        if (this.hiddenArticles.has(articleId)) {
+          this.showArticle(article, button, articleId);
+        }
+        button.focus();
+      },
+      onDismiss: ({ hadFocus }) => {
+        this.undoToasts.delete(articleId);
+        if (hadFocus) button.focus();
+      },
+    });
+
+    this.undoToasts.set(articleId, toast);
+  }
+
+  // La carte est réduite à son titre et au bouton "Afficher" (via le modèle)
+  hideArticle(article, button, articleId) {
+    // Mise à jour du bouton (bouton de divulgation)
+    button.textContent = i18n.t("card.show");
+    button.setAttribute("aria-expanded", "false");
+    button.classList.add("hidden-state");
+
+    this.hiddenArticles.add(articleId);
+    this.commitChange();
+  }
+
+  showArticle(article, button, articleId) {
+    // Restauration du bouton
+    button.textContent = i18n.t("card.hide");
+    button.setAttribute("aria-expanded", "true");
+    button.classList.remove("hidden-state");
+
+    this.hiddenArticles.delete(articleId);
+    this.commitChange();
+
+    // Article réaffiché autrement : sa notification n'a plus lieu d'être
+    const toast = this.undoToasts.get(articleId);
+    if (toast) {
+      this.undoToasts.delete(articleId);
+      toast.close();
+    }
+  }
+
+  // Enregistrement, barre et affichage (via le modèle de visibilité)
+  commitChange() {
+    this.saveHiddenArticles();
+    this.updateBar();
+    this.visibility.update();
+  }
+
+  // Restauration de tous les articles masqués de la page
+  showAllArticles() {
+    this.hiddenArticles.forEach((articleId) => {
+      const article = document.getElementById(articleId);
+      const button = article && article.querySelector(".article-toggle-btn");
+
+      if (article && button) {
+        this.showArticle(article, button, articleId);
+      }
+    });
+  }
+}
+
+// =============================================================================
+// FONCTIONNALITÉ 3: FILTRAGE PAR CATÉGORIE
+// =============================================================================
+
+class ArticleFilter {
+  constructor(articles = [], visibility = new ArticleVisibility(articles)) {
+    this.visibility = visibility;
+    this.currentFilter = "all";
+    this.selectedCategories = new Set();
+    this.activeTag = "";
+    this.searchQuery = "";
+    this.searchScores = new Map();
+    this.sortMode = "relevance";
+    this.dateRange = { from: "", to: "" };
+    this.unreadOnly = false;
+    this.changeListeners = new Set();
+    this.page = 1;
+    this.pageSize = Infinity;
+    this.matchingArticles = [];
+    this.isUpdating = false;
+    // Même fonction à chaque rendu des facettes : un seul écouteur par bouton
+    this.handleClearClick = () => this.onClearClick();
+    this.init();
+  }
+
+  // Les articles sont ceux du modèle de visibilité partagé
+  get articles() {
+    return this.visibility.articles;
+  }
+
+  set articles(articles) {
+    this.visibility.articles = articles;
+  }
+
+  init() {
+    // Critères du filtre et ordre d'affichage dans le modèle de visibilité
+    this.visibility.setRule(
+      "filter",
+      (article) =>
+        this.matchesCategory(article) &&
+        this.matchesTag(article) &&
+        this.matchesSearch(article) &&
+        this.matchesDateRange(article) &&
+        this.matchesUnread(article)
+    );
+    this.visibility.compare = (a, b) => this.compareArticles(a, b);
+
+    // Toute mise à jour (filtre ou article masqué) rafraîchit les compteurs
+    this.visibility.addChangeListener((visibleCount) => {
+      this.matchingArticles = this.visibility.matchingArticles;
+      this.updateLoadMoreButton(visibleCount);
+      if (!this.isUpdating) {
+        this.updateFacetCounts();
+        this.updateResultCount(visibleCount);
+      }
+    });
+
+    // Initialisation des facettes de catégorie
+    const facetContainer = document.getElementById("category-filter");
+    if (!facetContainer) {
+      console.warn("Filtre de catégorie non trouvé");
+      return;
+    }
+
+    // Génération automatique des facettes de catégorie
+    this.renderFacets(facetContainer);
+
+    // Gestionnaire d'événements avec debounce pour la performance :
+    // l'état est relu sur l'ensemble des cases pour ne perdre aucun clic
+    const debouncedFilter = debounce(() => {
+      this.setCategories(this.getCheckedCategories());
+    }, 150);
+
+    facetContainer.addEventListener("change", (e) => {
+      if (e.target.matches('input[type="checkbox"]')) debouncedFilter();
+    });
+
+    // Tri et période de publication (optionnels selon la page)
+    this.initSortAndDateRange();
+
+    // Option "non lus uniquement"
+    const unreadCheckbox = document.getElementById("unread-filter");
+    if (unreadCheckbox) {
+      unreadCheckbox.addEventListener("change", () =>
+        this.setUnreadOnly(unreadCheckbox.checked)
+      );
+    }
+
+    // Nuage de tags et tags des cartes
+    this.initTags();
+
+    // Affichage progressif ("Charger plus")
+    this.initPagination();
+
+    // Compteurs d'articles
+    this.updateVisibility();
+    this.updateFacetCounts();
+    this.updateResultCount();
+  }
+
+  initPagination() {
+    const loadMoreButton = document.getElementById("load-more");
+    if (!loadMoreButton) return;
+
+    this.pageSize = parseInt(loadMoreButton.dataset.pageSize, 10) || 6;
+    loadMoreButton.addEventListener("click", () => this.loadMore());
+  }
+
+  initSortAndDateRange() {
+    const sortSelect = document.getElementById("sort-order");
+    const dateFrom = document.getElementById("date-from");
+    const dateTo = document.getElementById("date-to");
+
+    if (sortSelect) {
+      sortSelect.addEventListener("change", (e) =>
+        this.setSort(e.target.value)
+      );
+    }
+
+    if (!dateFrom || !dateTo) return;
+
+    // Bornes des champs de date limitées aux articles publiés
+    const dates = this.articles
+      .map((article) => article.date)
+      .filter(Boolean)
+      .sort();
+    if (dates.length) {
+      [dateFrom, dateTo].forEach((input) => {
+        input.min = dates[0];
+        input.max = dates[dates.length - 1];
+      });
+    }
+
+    const debouncedRange = debounce(() => {
+      this.setDateRange(dateFrom.value, dateTo.value);
+    }, 150);
+
+    dateFrom.addEventListener("change", debouncedRange);
+    dateTo.addEventListener("change", debouncedRange);
+  }
+
+  initTags() {
+    const cloud = document.getElementById("tag-cloud");
+    if (cloud) {
+      this.renderTagCloud(cloud);
+      cloud.addEventListener("click", (e) => {
+        const button = e.target.closest("[data-tag]");
+        if (!button) return;
+
+        // Un second clic sur le tag actif le désélectionne
+        const { tag } = button.dataset;
+        this.setTag(tag === this.activeTag ? "" : tag);
+      });
+    }
+
+    // Sur le listing, les liens des cartes filtrent sans recharger la page
+    const grid = document.querySelector(".cards-grid[data-catalogue]");
+    if (grid) {
+      grid.addEventListener("click", (e) => {
+        const link = e.target.closest("a[data-tag]");
+        if (!link) return;
+
+        e.preventDefault();
+        this.setTag(link.dataset.tag);
+      });
+    }
+  }
+
+  /**
+   * Nombre d'articles par tag
+   * @returns {Map<string, number>} - Tags triés par ordre alphabétique
+   */
+  getTagCounts() {
+    const counts = new Map();
+    this.articles.forEach((article) => {
+      (article.tags || []).forEach((tag) => {
+        counts.set(tag, (counts.get(tag) || 0) + 1);
+      });
+    });
+
+    return new Map(
+      [...counts].sort(([a], [b]) =>
+        formatLabel(a).localeCompare(formatLabel(b), i18n.locale)
+      )
+    );
+  }
+
+  renderTagCloud(container) {
+    const counts = this.getTagCounts();
+    const maxCount = Math.max(0, ...counts.values());
+
+    let list = container.querySelector(".tag-cloud-list");
+    if (!list) {
+      list = document.createElement("ul");
+      list.className = "tag-cloud-list";
+      container.appendChild(list);
+    }
+    list.textContent = "";
+
+    // Taille du tag proportionnelle à sa fréquence (4 niveaux)
+    counts.forEach((count, tag) => {
+      const item = document.createElement("li");
+      const button = document.createElement("button");
+      const hiddenCount = document.createElement("span");
+
+      button.type = "button";
+      button.className = "tag-cloud-item";
+      button.dataset.tag = tag;
+      button.dataset.weight = Math.ceil((count / maxCount) * 4);
+      button.setAttribute("aria-pressed", "false");
+      button.textContent = formatLabel(tag);
+      hiddenCount.className = "visually-hidden";
+      hiddenCount.textContent = ` (${i18n.t("articles.count", { count })})`;
+      i18n.applyLanguage(hiddenCount);
+
+      button.appendChild(hiddenCount);
+      item.appendChild(button);
+      list.appendChild(item);
+    });
+
+    container.hidden = counts.size === 0;
+  }
+
+  syncTagCloud() {
+    const cloud = document.getElementById("tag-cloud");
+    if (!cloud) return;
+
+    cloud.querySelectorAll(".tag-cloud-item").forEach((button) => {
+      button.setAttribute(
+        "aria-pressed",
+        String(button.dataset.tag === this.activeTag)
+      );
+    });
+  }
+
+  getCategories() {
+    // Extraction des catégories uniques
+    return [
+      ...new Set(this.articles.map((article) => article.category)),
+    ].sort();
+  }
+
+  renderFacets(container) {
+    let list = container.querySelector(".facet-list");
+    if (!list) {
+      list = document.createElement("div");
+      list.className = "facet-list";
+      container.appendChild(list);
+    }
+    list.textContent = "";
+    this.facetList = list;
+
+    // Une case à cocher par catégorie, avec son compteur
+    this.getCategories().forEach((category) => {
+      const label = document.createElement("label");
+      const checkbox = document.createElement("input");
+      const name = document.createElement("span");
+      const count = document.createElement("span");
+
+      label.className = "facet-chip";
+      label.dataset.category = category;
+      checkbox.type = "checkbox";
+      checkbox.name = "category";
+      checkbox.value = category;
+      name.textContent = this.formatCategoryName(category);
+      count.className = "facet-count";
+
+      label.appendChild(checkbox);
+      label.appendChild(name);
+      label.appendChild(count);
+      list.appendChild(label);
+    });
+
+    // Action "Tout effacer"
+    this.clearButton = container.querySelector(".facet-clear");
+    if (!this.clearButton) {
+      this.clearButton = document.createElement("button");
+      this.clearButton.type = "button";
+      this.clearButton.className = "btn-link facet-clear";
+      this.clearButton.textContent = i18n.t("filter.clear");
+      i18n.applyLanguage(this.clearButton);
+      container.appendChild(this.clearButton);
+    }
+    this.clearButton.disabled = true;
+    this.clearButton.addEventListener("click", this.handleClearClick);
+  }
+
+  onClearClick() {
+    this.resetFilter();
+
+    // Le bouton devient inactif : le focus revient sur la première facette
+    const firstCheckbox =
+      this.facetList && this.facetList.querySelector("input");
+    if (firstCheckbox) firstCheckbox.focus();
+  }
+
+  getCheckedCategories() {
+    const facetContainer = document.getElementById("category-filter");
+    if (!facetContainer) return [];
+
+    return Array.from(
+      facetContainer.querySelectorAll('input[type="checkbox"]:checked')
+    ).map((checkbox) => checkbox.value);
+  }
+
+  // Synchronisation des cases à cocher avec l'état du filtre
+  syncFacets() {
+    const facetContainer = document.getElementById("category-filter");
+    if (!facetContainer) return;
+
+    facetContainer.querySelectorAll(".facet-chip").forEach((chip) => {
+      const isSelected = this.selectedCategories.has(chip.dataset.category);
+      const checkbox = chip.querySelector("input");
+      if (checkbox) checkbox.checked = isSelected;
+      chip.classList.toggle("is-selected", isSelected);
+    });
+
+    if (this.clearButton) {
+      this.clearButton.disabled =
+        this.selectedCategories.size === 0 &&
+        !this.activeTag &&
+        !this.dateRange.from &&
+        !this.dateRange.to &&
+        !this.unreadOnly;
+    }
+  }
+
+  // Nombre d'articles par catégorie compte tenu des autres critères
+  updateFacetCounts() {
+    const facetContainer = document.getElementById("category-filter");
+    if (!facetContainer) return;
+
+    facetContainer.querySelectorAll(".facet-chip").forEach((chip) => {
+      const count = this.articles.filter(
+        (article) =>
+          article.category === chip.dataset.category &&
+          this.visibility.isAllowed(article, "filter") &&
+          this.matchesTag(article) &&
+          this.matchesSearch(article) &&
+          this.matchesDateRange(article) &&
+          this.matchesUnread(article)
+      ).length;
+      const countElement = chip.querySelector(".facet-count");
+
+      if (countElement) countElement.textContent = `(${count})`;
+      chip.classList.toggle("is-empty", count === 0);
+    });
+  }
+
+  formatCategoryName(category) {
+    return formatLabel(category);
+  }
+
+  /**
+   * Applique une recherche plein texte en complément du filtre de catégorie
+   * @param {string} query - Requête saisie par l'utilisateur
+   * @param {Map<Object, number>} scores - Score de pertinence par article
+   * @param {number} [page=1] - Nombre de pages affichées
+   */
+  applySearch(query, scores, page = 1) {
+    this.searchQuery = query;
+    this.searchScores = scores;
+    this.page = page;
+    this.sortArticles();
+    this.applyFilters();
+  }
+
+  matchesCategory(article) {
+    // OU logique entre les catégories sélectionnées
+    return (
+      this.selectedCategories.size === 0 ||
+      this.selectedCategories.has(article.category)
+    );
+  }
+
+  matchesTag(article) {
+    return !this.activeTag || (article.tags || []).includes(this.activeTag);
+  }
+
+  matchesSearch(article) {
+    return !this.searchQuery || this.searchScores.get(article) > 0;
+  }
+
+  matchesDateRange(article) {
+    const { from, to } = this.dateRange;
+    if (!from && !to) return true;
+    if (!article.date) return false;
+
+    // Dates ISO (AAAA-MM-JJ) : la comparaison de chaînes suffit
+    return (!from || article.date >= from) && (!to || article.date <= to);
+  }
+
+  // État "lu" fourni par ReadingHistory (article.read)
+  matchesUnread(article) {
+    return !this.unreadOnly || !article.read;
+  }
+
+  /**
+   * Tri effectivement appliqué : la pertinence n'a de sens que pendant
+   * une recherche, sinon les articles les plus récents passent en premier
+   * @returns {string} - "relevance", "newest", "oldest" ou "alpha"
+   */
+  getEffectiveSort() {
+    if (this.sortMode === "relevance" && !this.searchQuery) return "newest";
+    return this.sortMode;
+  }
+
+  compareArticles(a, b) {
+    const byDate = (b.date || "").localeCompare(a.date || "");
+
+    switch (this.getEffectiveSort()) {
+      case "relevance": {
+        const delta =
+          (this.searchScores.get(b) || 0) - (this.searchScores.get(a) || 0);
+        return delta || byDate || a.order - b.order;
+      }
+      case "oldest":
+        return -byDate || a.order - b.order;
+      case "alpha":
+        return (
+          a.title.localeCompare(b.title, i18n.locale, {
+            sensitivity: "base",
+          }) || a.order - b.order
+        );
+      default:
+        return byDate || a.order - b.order;
+    }
+  }
+
+  // Réordonnancement des cartes dans la grille selon le tri actif
+  sortArticles() {
+    const container = this.articles.length
+      ? this.articles[0].element.parentNode
+      : null;
+    if (!container) return;
+
+    [...this.articles]
+      .sort((a, b) => this.compareArticles(a, b))
+      .forEach((article) => container.appendChild(article.element));
+  }
+
+  /**
+   * Choix du tri
+   * @param {string} mode - "relevance", "newest", "oldest" ou "alpha"
+   */
+  setSort(mode) {
+    const modes = ["relevance", "newest", "oldest", "alpha"];
+    this.sortMode = modes.includes(mode) ? mode : "relevance";
+
+    const sortSelect = document.getElementById("sort-order");
+    if (sortSelect) sortSelect.value = this.sortMode;
+
+    this.sortArticles();
+    this.applyFilters();
+  }
+
+  /**
+   * Période de publication, bornes incluses (AAAA-MM-JJ, vide = ouverte)
+   * @param {string} from - Date de début
+   * @param {string} to - Date de fin
+   */
+  setDateRange(from, to) {
+    const isoDate = /^\d{4}-\d{2}-\d{2}$/;
+    let start = isoDate.test(from) ? from : "";
+    let end = isoDate.test(to) ? to : "";
+
+    // Bornes inversées : on les remet dans l'ordre
+    if (start && end && start > end) [start, end] = [end, start];
+    this.dateRange = { from: start, to: end };
+    this.page = 1;
+
+    const dateFrom = document.getElementById("date-from");
+    const dateTo = document.getElementById("date-to");
+    if (dateFrom) dateFrom.value = start;
+    if (dateTo) dateTo.value = end;
+
+    this.syncFacets();
+    this.applyFilters();
+  }
+
+  /**
+   * Sélection des catégories affichées
+   * @param {string[]} categories - Catégories retenues (aucune = toutes)
+   */
+  setCategories(categories) {
+    this.selectedCategories = new Set(
+      categories.filter((category) => category && category !== "all")
+    );
+    this.currentFilter = this.selectedCategories.size
+      ? [...this.selectedCategories].join(",")
+      : "all";
+    this.page = 1;
+
+    this.syncFacets();
+    this.applyFilters();
+  }
+
+  /**
+   * Filtrage par tag (un seul tag actif à la fois)
+   * @param {string} tag - Slug du tag, vide pour retirer le filtre
+   */
+  setTag(tag) {
+    this.activeTag = this.getTagCounts().has(tag) ? tag : "";
+    this.page = 1;
+
+    this.syncTagCloud();
+    this.syncFacets();
+    this.applyFilters();
+  }
+
+  /**
+   * Limitation aux articles non lus
+   * @param {boolean} unreadOnly - true pour masquer les articles déjà lus
+   */
+  setUnreadOnly(unreadOnly) {
+    this.unreadOnly = Boolean(unreadOnly);
+    this.page = 1;
+
+    const unreadCheckbox = document.getElementById("unread-filter");
+    if (unreadCheckbox) unreadCheckbox.checked = this.unreadOnly;
+
+    this.syncFacets();
+    this.applyFilters();
+  }
+
+  // Compatibilité : filtrage sur une seule catégorie ou "all"
+  filterArticles(selectedCategory) {
+    this.setCategories(
+      Array.isArray(selectedCategory) ? selectedCategory : [selectedCategory]
+    );
+  }
+
+  hasActiveCriteria() {
+    return (
+      this.selectedCategories.size > 0 ||
+      Boolean(this.activeTag) ||
+      Boolean(this.searchQuery) ||
+      Boolean(this.dateRange.from || this.dateRange.to) ||
+      this.unreadOnly
+    );
+  }
+
+  applyFilters() {
+    const visibleCount = this.updateVisibility();
+
+    this.updateFacetCounts();
+    this.updateResultCount(visibleCount);
+    this.announceFilterChange(this.currentFilter, this.matchingArticles.length);
+
+    this.notifyChange();
+  }
+
+  /**
+   * Affichage des articles retenus par toutes les règles, dans la limite
+   * des pages déjà chargées
+   * @returns {number} - Nombre d'articles affichés
+   */
+  updateVisibility() {
+    // Compteurs mis à jour par l'appelant (applyFilters, loadMore…)
+    this.isUpdating = true;
+    try {
+      this.visibility.limit = this.page * this.pageSize;
+      return this.visibility.update();
+    } finally {
+      this.isUpdating = false;
+    }
+  }
+
+  updateLoadMoreButton(visibleCount) {
+    const loadMoreButton = document.getElementById("load-more");
+    if (!loadMoreButton) return;
+
+    const remaining = this.matchingArticles.length - visibleCount;
+    loadMoreButton.hidden = remaining <= 0;
+    loadMoreButton.textContent = i18n.t("filter.loadMore", {
+      count: remaining,
+    });
+    i18n.applyLanguage(loadMoreButton);
+  }
+
+  // Affichage de la page suivante et focus sur le premier nouvel article
+  loadMore() {
+    const firstNewIndex = this.page * this.pageSize;
+    if (firstNewIndex >= this.matchingArticles.length) return;
+
+    this.page++;
+    const visibleCount = this.updateVisibility();
+    this.updateResultCount(visibleCount);
+
+    const firstNew = this.matchingArticles[firstNewIndex];
+    const focusTarget = firstNew.element.querySelector(".card-title a");
+    if (focusTarget) {
+      focusTarget.focus();
+    } else {
+      firstNew.element.setAttribute("tabindex", "-1");
+      firstNew.element.focus();
+    }
+
+    const added = visibleCount - firstNewIndex;
+    const announcer = document.getElementById("filter-announcer");
+    if (announcer) {
+      announcer.textContent = i18n.t("filter.loadedMore", {
+        added,
+        visible: visibleCount,
+        total: this.matchingArticles.length,
+      });
+      i18n.applyLanguage(announcer);
+    }
+
+    this.notifyChange();
+  }
+
+  notifyChange() {
+    this.changeListeners.forEach((listener) => listener(this.getState()));
+  }
+
+  /**
+   * Chargement des pages nécessaires pour afficher un article donné
+   * @param {HTMLElement} element - Carte ciblée (ex. lien #article-…)
+   * @returns {boolean} - False si l'article est exclu par les critères actifs
+   */
+  revealArticle(element) {
+    const index = this.matchingArticles.findIndex(
+      (article) => article.element === element
+    );
+    if (index === -1) return false;
+
+    const requiredPage = Math.floor(index / this.pageSize) + 1;
+    if (requiredPage > this.page) {
+      this.page = requiredPage;
+      this.updateResultCount(this.updateVisibility());
+      this.notifyChange();
+    }
+    return true;
+  }
+
+  /**
+   * Abonnement aux changements de filtrage
+   * @param {Function} listener - Reçoit l'état courant (voir getState)
+   */
+  addChangeListener(listener) {
+    this.changeListeners.add(listener);
+  }
+
+  /**
+   * État courant du filtrage, sérialisable
+   * @returns {{categories: string[], tag: string, q: string, sort: string, from: string, to: string, unread: boolean, page: number}}
+   */
+  getState() {
+    return {
+      categories: [...this.selectedCategories],
+      tag: this.activeTag,
+      q: this.searchQuery,
+      sort: this.sortMode,
+      from: this.dateRange.from,
+      to: this.dateRange.to,
+      unread: this.unreadOnly,
+      page: this.page,
+    };
+  }
+
+  /**
+   * Restauration des critères sans rafraîchir l'affichage : l'appelant
+   * déclenche ensuite la recherche ou applyFilters()
+   * @param {Object} state - État partiel (voir getState)
+   */
+  restoreState(state) {
+    const knownCategories = this.getCategories();
+    this.selectedCategories = new Set(
+      (state.categories || []).filter((category) =>
+        knownCategories.includes(category)
+      )
+    );
+    this.currentFilter = this.selectedCategories.size
+      ? [...this.selectedCategories].join(",")
+      : "all";
+    this.activeTag = this.getTagCounts().has(state.tag) ? state.tag : "";
+
+    const modes = ["relevance", "newest", "oldest", "alpha"];
+    this.sortMode = modes.includes(state.sort) ? state.sort : "relevance";
+
+    const isoDate = /^\d{4}-\d{2}-\d{2}$/;
+    this.dateRange = {
+      from: isoDate.test(state.from) ? state.from : "",
+      to: isoDate.test(state.to) ? state.to : "",
+    };
+    this.unreadOnly = state.unread === true;
+
+    const page = parseInt(state.page, 10);
+    this.page = page > 0 ? page : 1;
+
+    // Synchronisation des contrôles du formulaire
+    const sortSelect = document.getElementById("sort-order");
+    const dateFrom = document.getElementById("date-from");
+    const dateTo = document.getElementById("date-to");
+    if (sortSelect) sortSelect.value = this.sortMode;
+    if (dateFrom) dateFrom.value = this.dateRange.from;
+    if (dateTo) dateTo.value = this.dateRange.to;
+    const unreadCheckbox = document.getElementById("unread-filter");
+    if (unreadCheckbox) unreadCheckbox.checked = this.unreadOnly;
+    this.syncFacets();
+    this.syncTagCloud();
+  }
+
+  updateResultCount(count = null) {
+    const resultCountElement = document.getElementById("result-count");
+    if (!resultCountElement) return;
+
+    const totalVisible =
+      count !== null ? count : this.articles.filter((a) => a.visible).length;
+    const totalMatching = this.matchingArticles.length;
+
+    // "6 sur 12 articles" tant que tous les résultats ne sont pas chargés
+    let countLabel =
+      totalVisible < totalMatching
+        ? i18n.t("filter.partialCount", {
+            visible: totalVisible,
+            total: totalMatching,
+          })
+        : i18n.t("articles.count", { count: totalMatching });
+
+    // Cartes masquées : comptées (réduites à leur titre dans la grille)
+    const { collapsedCount } = this.visibility;
+    if (collapsedCount > 0) {
+      countLabel = i18n.t("filter.collapsedCount", {
+        count: countLabel,
+        collapsed: collapsedCount,
+      });
+    }
+
+    let message = "";
+    if (!this.hasActiveCriteria()) {
+      message = i18n.t("filter.resultAll", {
+        count: countLabel,
+        sort: this.describeSort(totalVisible),
+      });
+    } else if (totalMatching === 0) {
+      message = i18n.t("filter.resultNone", {
+        criteria: this.describeCriteria(),
+      });
+    } else {
+      message = i18n.t("filter.result", {
+        count: countLabel,
+        criteria: this.describeCriteria(),
+        sort: this.describeSort(totalVisible),
+      });
+    }
+
+    resultCountElement.textContent = message;
+    i18n.applyLanguage(resultCountElement);
+  }
+
+  describeSort(count = 2) {
+    return i18n.t("sort.sorted", {
+      count,
+      order: i18n.t(`sort.${this.getEffectiveSort()}`),
+    });
+  }
+
+  formatDate(isoDate) {
+    return i18n.formatDate(isoDate);
+  }
+
+  // Description des critères actifs : recherche, catégorie, tag, période puis non lus
+  describeCriteria() {
+    let criteria = "";
+    if (this.searchQuery) {
+      criteria += i18n.t("criteria.query", { query: this.searchQuery });
+    }
+    if (this.selectedCategories.size === 1) {
+      const [category] = this.selectedCategories;
+      criteria += i18n.t("criteria.category", {
+        category: this.formatCategoryName(category),
+      });
+    } else if (this.selectedCategories.size > 1) {
+      const labels = [...this.selectedCategories].map(
+        (category) => `"${this.formatCategoryName(category)}"`
+      );
+      const last = labels.pop();
+      criteria += i18n.t("criteria.categories", {
+        list: labels.join(", "),
+        last,
+      });
+    }
+    if (this.activeTag) {
+      criteria += i18n.t("criteria.tag", { tag: formatLabel(this.activeTag) });
+    }
+
+    const { from, to } = this.dateRange;
+    if (from && to) {
+      criteria += i18n.t("criteria.between", {
+        from: this.formatDate(from),
+        to: this.formatDate(to),
+      });
+    } else if (from) {
+      criteria += i18n.t("criteria.since", { from: this.formatDate(from) });
+    } else if (to) {
+      criteria += i18n.t("criteria.until", { to: this.formatDate(to) });
+    }
+    if (this.unreadOnly) {
+      criteria += i18n.t("criteria.unread");
+    }
+    return criteria;
+  }
+
+  announceFilterChange(category, count) {
+    // Annonce pour les lecteurs d'écran
+    const announcement = !this.hasActiveCriteria()
+      ? i18n.t("filter.announceAll", { count, sort: this.describeSort() })
+      : i18n.t("filter.announce", {
+          count,
+          criteria: this.describeCriteria(),
+          sort: this.describeSort(count),
+        });
+
+    const announcer = document.getElementById("filter-announcer");
+    if (announcer) {
+      announcer.textContent = announcement;
+      i18n.applyLanguage(announcer);
+    }
+  }
+
+  // Méthode pour réinitialiser le filtre (utile pour les tests)
+  resetFilter() {
+    this.activeTag = "";
+    this.syncTagCloud();
+    this.dateRange = { from: "", to: "" };
+    const dateFrom = document.getElementById("date-from");
+    const dateTo = document.getElementById("date-to");
+    if (dateFrom) dateFrom.value = "";
+    if (dateTo) dateTo.value = "";
+    this.unreadOnly = false;
+    const unreadCheckbox = document.getElementById("unread-filter");
+    if (unreadCheckbox) unreadCheckbox.checked = false;
+
+    this.setCategories([]);
+  }
+}
+
+// =============================================================================
+// FONCTIONNALITÉ 4: RECHERCHE PLEIN TEXTE DANS LES ARTICLES
+// =============================================================================
+
+class ArticleSearch {
+  constructor(articleFilter) {
+    this.articleFilter = articleFilter;
+    this.query = "";
+    this.init();
+  }
+
+  init() {
+    const input = document.getElementById("filtre");
+    const form = input ? input.closest("form") : null;
+
+    if (!input || !form || !this.articleFilter) {
+      console.warn("Formulaire de recherche d'articles non trouvé");
+      return;
+    }
+
+    form.addEventListener("submit", (e) => {
+      e.preventDefault();
+      this.search(input.value);
+    });
+
+    // Recherche en temps réel avec debounce pour la performance
+    const debouncedSearch = debounce((e) => {
+      this.search(e.target.value);
+    }, 200);
+
+    input.addEventListener("input", debouncedSearch);
+  }
+
+  getTerms(query) {
+    return getSearchTerms(query);
+  }
+
+  scoreArticle(article, terms) {
+    return scoreSearchMatch(
+      {
+        title: article.title,
+        // Les tags comptent comme la catégorie dans le score
+        category: [article.category, ...(article.tags || [])]
+          .map(formatLabel)
+          .join(" "),
+        excerpt: article.excerpt,
+      },
+      terms
+    );
+  }
+
+  search(rawQuery, options = {}) {
+    const query = cleanSearchQuery(rawQuery);
+    const terms = this.getTerms(query);
+    const scores = new Map();
+
+    this.articleFilter.articles.forEach((article) => {
+      scores.set(article, terms.length ? this.scoreArticle(article, terms) : 0);
+    });
+
+    this.query = terms.length ? query : "";
+    this.articleFilter.applySearch(this.query, scores, options.page);
+  }
+
+  /**
+   * Recherche restaurée depuis l'URL ou l'historique
+   * @param {string} query - Requête à afficher dans le champ et appliquer
+   */
+  restoreQuery(query) {
+    const input = document.getElementById("filtre");
+    const cleanQuery = cleanSearchQuery(query);
+    if (input) input.value = cleanQuery;
+
+    // La page restaurée ne doit pas être perdue par la nouvelle recherche
+    const { page } = this.articleFilter;
+    this.search(cleanQuery, { page });
+  }
+
+  // Méthode pour effacer la recherche (utile pour les tests)
+  resetSearch() {
+    const input = document.getElementById("filtre");
+    if (input) input.value = "";
+    this.search("");
+  }
+}
+
+// =============================================================================
+// FONCTIONNALITÉ 5: ÉTAT DES FILTRES DANS L'URL
+// =============================================================================
+
+class FilterUrlState {
+  constructor(articleFilter, articleSearch = null) {
+    this.articleFilter = articleFilter;
+    this.articleSearch = articleSearch;
+    this.isRestoring = false;
+    // Saisie en cours : la requête remplace l'entrée créée à la première frappe
+    this.isEditingQuery = false;
+    this.init();
+  }
+
+  init() {
+    if (!this.articleFilter || !window.history || !window.location) {
+      console.warn("Historique du navigateur indisponible");
+      return;
+    }
+
+    // Restauration d'un lien partagé ou d'un rechargement
+    if (window.location.search) {
+      this.applyState(this.parseQueryString(window.location.search));
+    }
+
+    this.articleFilter.addChangeListener((state) => this.pushState(state));
+
+    // Recherche validée (Entrée, sortie du champ) : la saisie suivante
+    // crée une nouvelle entrée d'historique
+    const input = document.getElementById("filtre");
+    if (input) input.addEventListener("change", () => this.commitQuery());
+
+    // Précédent / suivant : on relit l'URL restaurée par le navigateur
+    window.addEventListener("popstate", () => {
+      this.commitQuery();
+      this.applyState(this.parseQueryString(window.location.search));
+    });
+  }
+
+  /**
+   * Lecture des paramètres de filtrage (?category=a,b&tag=…&q=…&sort=…&from=…&to=…&unread=1&page=…)
+   * @param {string} queryString - Partie "search" de l'URL
+   * @returns {Object} - État au format de ArticleFilter.getState()
+   */
+  parseQueryString(queryString) {
+    const params = new URLSearchParams(queryString);
+    const category = params.get("category") || "";
+
+    return {
+      categories: category
+        .split(",")
+        .map((value) => value.trim().toLowerCase())
+        .filter(Boolean),
+      tag: (params.get("tag") || "").trim().toLowerCase(),
+      q: params.get("q") || "",
+      sort: params.get("sort") || "",
+      from: params.get("from") || "",
+      to: params.get("to") || "",
+      unread: params.get("unread") === "1",
+      page: parseInt(params.get("page"), 10) || 1,
+    };
+  }
+
+  /**
+   * Construction de la query string, valeurs par défaut omises
+   * @param {Object} state - État au format de ArticleFilter.getState()
+   * @returns {string} - Query string avec "?" ou chaîne vide
+   */
+  buildQueryString(state) {
+    const parts = [];
+
+    if (state.categories && state.categories.length) {
+      // Virgules conservées en clair pour des liens lisibles
+      parts.push(
+        `category=${state.categories.map(encodeURIComponent).join(",")}`
+      );
+    }
+    if (state.tag) parts.push(`tag=${encodeURIComponent(state.tag)}`);
+    if (state.q) parts.push(`q=${encodeURIComponent(state.q)}`);
+    if (state.sort && state.sort !== "relevance") {
+      parts.push(`sort=${encodeURIComponent(state.sort)}`);
+    }
+    if (state.from) parts.push(`from=${encodeURIComponent(state.from)}`);
+    if (state.to) parts.push(`to=${encodeURIComponent(state.to)}`);
+    if (state.unread) parts.push("unread=1");
+    if (state.page > 1) parts.push(`page=${state.page}`);
+
+    return parts.length ? `?${parts.join("&")}` : "";
+  }
+
+  pushState(state) {
+    if (this.isRestoring) return;
+
+    const queryString = this.buildQueryString(state);
+    if (queryString === window.location.search) return;
+
+    const url = `${window.location.pathname}${queryString}${window.location.hash}`;
+
+    // "Charger plus" met à jour l'entrée courante sans en créer une nouvelle
+    const current = this.parseQueryString(window.location.search);
+    const onlyPageChanged =
+      this.buildQueryString({ ...state, page: 1 }) ===
+      this.buildQueryString({ ...current, page: 1 });
+
+    // Frappe dans la recherche : une seule entrée pour toute la saisie
+    const onlyQueryChanged =
+      !onlyPageChanged &&
+      this.buildQueryString({ ...state, q: "", page: 1 }) ===
+        this.buildQueryString({ ...current, q: "", page: 1 });
+    const isTyping = onlyQueryChanged && this.isEditingQuery;
+    this.isEditingQuery = onlyQueryChanged;
+
+    try {
+      if (onlyPageChanged || isTyping) {
+        window.history.replaceState(null, "", url);
+      } else {
+        window.history.pushState(null, "", url);
+      }
+    } catch (error) {
+      console.error("Erreur lors de la mise à jour de l'URL:", error);
+    }
+  }
+
+  // Fin de la saisie : la prochaine requête aura sa propre entrée
+  commitQuery() {
+    this.isEditingQuery = false;
+  }
+
+  applyState(state) {
+    this.isRestoring = true;
+    try {
+      this.articleFilter.restoreState(state);
+
+      if (this.articleSearch) {
+        this.articleSearch.restoreQuery(state.q);
+      } else {
+        this.articleFilter.sortArticles();
+        this.articleFilter.applyFilters();
+      }
+    } finally {
+      this.isRestoring = false;
+    }
+  }
+}
+
+// =============================================================================
+// FONCTIONNALITÉ 6: RECHERCHE GLOBALE DANS L'EN-TÊTE
+// =============================================================================
+
+class SiteSearch {
+  constructor(catalogue = null) {
+    this.catalogue = catalogue;
+    this.index = null;
+    this.indexPromise = null;
+    this.maxResults = 8;
+    this.init();
+  }
+
+  init() {
+    this.form = document.querySelector("form.search");
+    this.input = document.getElementById("q");
+
+    if (!this.form || !this.input) {
+      console.warn("Formulaire de recherche du site non trouvé");
+      return;
+    }
+
+    this.createPanel();
+
+    this.input.setAttribute("autocomplete", "off");
+    this.input.setAttribute("aria-controls", this.panel.id);
+    this.input.setAttribute("aria-expanded", "false");
+
+    // L'index n'est chargé qu'au premier usage (éco-conception)
+    this.input.addEventListener("focus", () => this.loadIndex(), {
+      once: true,
+    });
+
+    const debouncedSearch = debounce(() => this.search(this.input.value), 200);
+    this.input.addEventListener("input", debouncedSearch);
+
+    this.form.addEventListener("submit", (e) => {
+      e.preventDefault();
+      this.search(this.input.value);
+    });
+
+    this.form.addEventListener("keydown", (e) => this.handleKeydown(e));
+
+    // Fermeture quand le focus quitte la recherche
+    this.form.addEventListener("focusout", (e) => {
+      if (!this.form.contains(e.relatedTarget)) this.closePanel();
+    });
+
+    document.addEventListener("click", (e) => {
+      if (!this.form.contains(e.target)) this.closePanel();
+    });
+  }
+
+  createPanel() {
+    this.panel = document.createElement("div");
+    this.panel.id = "search-results";
+    this.panel.className = "search-panel";
+    this.panel.setAttribute("role", "region");
+    this.panel.setAttribute("aria-label", i18n.t("search.label"));
+    this.panel.hidden = true;
+
+    this.status = document.createElement("p");
+    this.status.className = "search-status";
+    this.status.setAttribute("role", "status");
+    this.status.setAttribute("aria-live", "polite");
+    i18n.applyLanguage(this.status);
+
+    this.list = document.createElement("ul");
+    this.list.className = "search-results";
+
+    this.panel.appendChild(this.status);
+    this.panel.appendChild(this.list);
+    this.form.appendChild(this.panel);
+  }
+
+  /**
+   * Index construit à partir du catalogue d'articles, chargé au premier usage
+   * @returns {Promise<Object[]>} - Entrées de l'index
+   */
+  loadIndex() {
+    if (this.indexPromise) return this.indexPromise;
+
+    const request = this.catalogue
+      ? this.catalogue.load()
+      : Promise.reject(new Error("catalogue indisponible"));
+
+    this.indexPromise = request
+      .then((entries) =>
+        entries.map((entry) => ({
+          title: entry.title,
+          url: this.catalogue.getArticleUrl(entry),
+          category: entry.category,
+          categoryLabel: formatLabel(entry.category),
+          tagLabels: (entry.tags || []).map(formatLabel),
+          date: entry.date || "",
+          excerpt: entry.excerpt || "",
+        }))
+      )
+      .catch((error) => {
+        console.warn("Index de recherche indisponible:", error.message);
+        // Nouvel essai possible à la prochaine recherche
+        this.indexPromise = null;
+        return [];
+      })
+      .then((entries) => {
+        this.index = entries;
+        return this.index;
+      });
+
+    return this.indexPromise;
+  }
+
+  /**
+   * Recherche dans l'index et classement par pertinence
+   * @param {string} query - Requête nettoyée
+   * @returns {Object[]} - Entrées correspondantes, les plus pertinentes d'abord
+   */
+  findMatches(query) {
+    const terms = getSearchTerms(query);
+    if (!terms.length || !this.index) return [];
+
+    return this.index
+      .map((entry) => ({
+        entry,
+        score: scoreSearchMatch(
+          {
+            title: entry.title,
+            category: [entry.categoryLabel || entry.category]
+              .concat(entry.tagLabels || [])
+              .join(" "),
+            excerpt: entry.excerpt,
+          },
+          terms
+        ),
+      }))
+      .filter((result) => result.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .map((result) => result.entry);
+  }
+
+  search(rawQuery) {
+    const query = cleanSearchQuery(rawQuery);
+
+    if (!query) {
+      this.closePanel();
+      return Promise.resolve([]);
+    }
+
+    return this.loadIndex().then(() => {
+      // Requête obsolète si l'utilisateur a continué de taper
+      if (cleanSearchQuery(this.input.value) !== query) return [];
+
+      const matches = this.findMatches(query);
+      this.renderResults(query, matches);
+      return matches;
+    });
+  }
+
+  renderResults(query, matches) {
+    this.list.textContent = "";
+
+    matches.slice(0, this.maxResults).forEach((entry) => {
+      const item = document.createElement("li");
+      const link = document.createElement("a");
+      const title = document.createElement("span");
+      const meta = document.createElement("span");
+
+      link.href = entry.url;
+      link.className = "search-result";
+      title.className = "search-result-title";
+      title.textContent = entry.title;
+      meta.className = "search-result-meta";
+      meta.textContent = entry.categoryLabel || entry.category;
+
+      link.appendChild(title);
+      link.appendChild(meta);
+      item.appendChild(link);
+      this.list.appendChild(item);
+    });
+
+    const count = matches.length;
+    this.status.textContent =
+      count === 0
+        ? i18n.t("search.none", { query })
+        : i18n.t("search.results", { count, query });
+
+    this.openPanel();
+  }
+
+  handleKeydown(e) {
+    if (this.panel.hidden) return;
+
+    if (e.key === "Escape") {
+      e.preventDefault();
+      this.closePanel();
+      this.input.focus();
+      return;
+    }
+
+    if (e.key !== "ArrowDown" && e.key !== "ArrowUp") return;
+
+    // Navigation dans les résultats avec les flèches
+    const links = [...this.list.querySelectorAll("a")];
+    if (!links.length) return;
+
+    e.preventDefault();
+    const current = links.indexOf(document.activeElement);
+    let next;
+    if (e.key === "ArrowDown") {
+      next = current < links.length - 1 ? links[current + 1] : links[0];
+    } else if (current <= 0) {
+      next = this.input;
+    } else {
+      next = links[current - 1];
+    }
+    next.focus();
+  }
+
+  openPanel() {
+    this.panel.hidden = false;
+    this.input.setAttribute("aria-expanded", "true");
+  }
+
+  closePanel() {
+    if (!this.panel || this.panel.hidden) return;
+    this.panel.hidden = true;
+    this.input.setAttribute("aria-expanded", "false");
+  }
+}
+
+// =============================================================================
+// FONCTIONNALITÉ 7: LISTE DE LECTURE ("LIRE PLUS TARD")
+// =============================================================================
+
+class ReadingList {
+  constructor() {
+    this.storageKey = "runtogether:reading-list";
+    this.items = [];
+    this.articles = [];
+    this.trigger = null;
+    this.panel = null;
+    this.panelTrap = null;
+    this.init();
+  }
+
+  init() {
+    this.nav = document.getElementById("nav-principal");
+
+    if (!this.nav) {
+      console.warn("Navigation principale non trouvée");
+      return;
+    }
+
+    this.items = this.loadItems();
+    this.createTrigger();
+    this.createPanel();
+    this.renderList();
+
+    // Liste modifiée dans un autre onglet
+    window.addEventListener("storage", (e) => {
+      if (e.key !== this.storageKey) return;
+      this.items = this.loadItems();
+      this.refresh();
+    });
+  }
+
+  /**
+   * Articles enregistrés, dans l'ordre choisi par le lecteur
+   * @returns {Object[]} - Entrées { id, title, url, read }
+   */
+  loadItems() {
+    const items = readStorage(this.storageKey, []);
+    if (!Array.isArray(items)) return [];
+
+    return items
+      .filter(
+        (item) =>
+          item && typeof item.id === "string" && typeof item.title === "string"
+      )
+      .map((item) => ({
+        id: item.id,
+        title: item.title,
+        url: typeof item.url === "string" ? item.url : "",
+        read: item.read === true,
+      }));
+  }
+
+  saveItems() {
+    writeStorage(this.storageKey, this.items);
+  }
+
+  // Bouton d'ouverture du panneau, placé dans la navigation principale
+  createTrigger() {
+    this.trigger = document.createElement("button");
+    this.trigger.type = "button";
+    this.trigger.className = "nav-reading-list";
+    this.trigger.setAttribute("aria-controls", "reading-list-panel");
+    this.trigger.setAttribute("aria-expanded", "false");
+    this.trigger.textContent = `${i18n.t("readingList.title")} `;
+    i18n.applyLanguage(this.trigger);
+
+    this.count = document.createElement("span");
+    this.count.className = "reading-list-count";
+    this.trigger.appendChild(this.count);
+
+    this.trigger.addEventListener("click", () => {
+      this.panel.hidden ? this.openPanel() : this.closePanel();
+    });
+
+    this.nav.insertBefore(this.trigger, this.nav.querySelector(".nav-extra"));
+  }
+
+  createPanel() {
+    this.panel = document.createElement("aside");
+    this.panel.id = "reading-list-panel";
+    this.panel.className = "reading-list-panel";
+    this.panel.setAttribute("role", "dialog");
+    this.panel.setAttribute("aria-modal", "true");
+    this.panel.setAttribute("aria-labelledby", "reading-list-title");
+    this.panel.hidden = true;
+    i18n.applyLanguage(this.panel);
+    this.panel.innerHTML = `
+      <div class="reading-list-header">
+        <h2 id="reading-list-title" class="reading-list-title" tabindex="-1">
+          ${i18n.t("readingList.title")}
+        </h2>
+        <button type="button" class="reading-list-close">
+          ${i18n.t("readingList.close")}
+        </button>
+      </div>
+      <p class="reading-list-status" role="status" aria-live="polite"></p>
+      <p class="reading-list-empty">${i18n.t("readingList.empty")}</p>
+      <ol class="reading-list-items"></ol>`;
+
+    this.list = this.panel.querySelector(".reading-list-items");
+    this.status = this.panel.querySelector(".reading-list-status");
+
+    this.panel
+      .querySelector(".reading-list-close")
+      .addEventListener("click", () => this.closePanel());
+
+    // Actions des entrées (délégation : la liste est reconstruite à chaque rendu)
+    this.list.addEventListener("click", (e) => {
+      const button = e.target.closest("button[data-action]");
+      if (!button) return;
+      this.handleAction(button.dataset.action, button.closest("li").dataset.id);
+    });
+
+    document.body.appendChild(this.panel);
+
+    // Volet modal : focus piégé, page inerte, Échap pour fermer
+    this.panelTrap = new FocusTrap(this.panel, {
+      initialFocus: this.panel.querySelector(".reading-list-title"),
+      onEscape: () => this.closePanel(),
+    });
+  }
+
+  openPanel() {
+    if (!this.panel) return;
+
+    // Menu mobile ouvert : refermé avant d'afficher le panneau
+    const navToggle = document.querySelector(".nav-toggle");
+    if (navToggle && this.nav.classList.contains("is-open")) navToggle.click();
+
+    this.panel.hidden = false;
+    this.trigger.setAttribute("aria-expanded", "true");
+    this.panelTrap.activate();
+  }
+
+  closePanel() {
+    if (!this.panel || this.panel.hidden) return;
+
+    this.panel.hidden = true;
+    this.trigger.setAttribute("aria-expanded", "false");
+    // Focus rendu au bouton d'ouverture (ou au bouton du menu mobile)
+    this.panelTrap.deactivate();
+  }
+
+  has(id) {
+    return this.items.some((item) => item.id === id);
+  }
+
+  /**
+   * Ajout d'un article en fin de liste
+   * @param {Object} entry - { id, title, url } de l'article
+   */
+  add(entry) {
+    if (!entry || !entry.id || this.has(entry.id)) return;
+
+    this.items.push({
+      id: entry.id,
+      title: entry.title || "",
+      url: entry.url || "",
+      read: false,
+    });
+    this.commitChange();
+  }
+
+  remove(id) {
+    this.items = this.items.filter((item) => item.id !== id);
+    this.commitChange();
+  }
+
+  /**
+   * Déplacement d'un article dans la liste
+   * @param {string} id - Identifiant de l'article
+   * @param {number} offset - -1 pour monter, 1 pour descendre
+   * @returns {boolean} - true si l'article a été déplacé
+   */
+  move(id, offset) {
+    const index = this.items.findIndex((item) => item.id === id);
+    const target = index + offset;
+    if (index === -1 || target < 0 || target >= this.items.length) {
+      return false;
+    }
+
+    const [item] = this.items.splice(index, 1);
+    this.items.splice(target, 0, item);
+    this.commitChange();
+    return true;
+  }
+
+  toggleRead(id) {
+    const item = this.items.find((entry) => entry.id === id);
+    if (!item) return;
+
+    item.read = !item.read;
+    this.commitChange();
+  }
+
+  // Enregistrement puis mise à jour du panneau et des cartes
+  commitChange() {
+    this.saveItems();
+    this.refresh();
+  }
+
+  refresh() {
+    this.renderList();
+    this.syncCards();
+  }
+
+  handleAction(action, id) {
+    const index = this.items.findIndex((item) => item.id === id);
+    const item = this.items[index];
+    if (!item) return;
+
+    switch (action) {
+      case "up":
+      case "down": {
+        const offset = action === "up" ? -1 : 1;
+        if (!this.move(id, offset)) return;
+        this.status.textContent = i18n.t("readingList.moved", {
+          title: item.title,
+          position: index + offset + 1,
+        });
+        this.focusItem(id, action);
+        break;
+      }
+      case "read":
+        this.toggleRead(id);
+        this.status.textContent = i18n.t("readingList.marked", {
+          title: item.title,
+          state: item.read ? "read" : "unread",
+        });
+        this.focusItem(id, action);
+        break;
+      case "remove": {
+        this.remove(id);
+        this.status.textContent = i18n.t("readingList.removed", {
+          title: item.title,
+        });
+
+        // Focus sur l'entrée suivante, ou sur le titre si la liste est vide
+        const next = this.list.children[Math.min(index, this.items.length - 1)];
+        const focusTarget = next
+          ? next.querySelector(".reading-list-link")
+          : this.panel.querySelector(".reading-list-title");
+        focusTarget.focus();
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  // Focus conservé sur l'action après reconstruction de la liste
+  focusItem(id, action) {
+    const item = [...this.list.children].find((li) => li.dataset.id === id);
+    if (!item) return;
+
+    let button = item.querySelector(`[data-action="${action}"]`);
+    // En bout de liste, le bouton est désactivé : focus sur l'autre flèche
+    if (button.disabled) {
+      button = item.querySelector(
+        `[data-action="${action === "up" ? "down" : "up"}"]`
+      );
+    }
+    button.focus();
+  }
+
+  renderList() {
+    if (!this.panel) return;
+
+    const count = this.items.length;
+    this.list.textContent = "";
+    this.panel.querySelector(".reading-list-empty").hidden = count > 0;
+    this.count.textContent = count ? `(${count})` : "";
+
+    this.items.forEach((item, index) => {
+      const li = document.createElement("li");
+      li.className = "reading-list-item";
+      li.classList.toggle("is-read", item.read);
+      li.dataset.id = item.id;
+
+      const link = document.createElement("a");
+      link.className = "reading-list-link";
+      link.href = item.url || "#";
+      link.textContent = item.title;
+      li.appendChild(link);
+
+      if (item.read) {
+        const state = document.createElement("span");
+        state.className = "reading-list-state";
+        state.textContent = i18n.t("readingList.read");
+        li.appendChild(state);
+      }
+
+      const actions = document.createElement("div");
+      actions.className = "reading-list-actions";
+      const { title } = item;
+      [
+        ["up", "↑", i18n.t("readingList.up", { title }), index === 0],
+        [
+          "down",
+          "↓",
+          i18n.t("readingList.down", { title }),
+          index === count - 1,
+        ],
+        [
+          "read",
+          i18n.t(item.read ? "readingList.markUnread" : "readingList.markRead"),
+          i18n.t("readingList.markLabel", {
+            title,
+            state: item.read ? "unread" : "read",
+          }),
+          false,
+        ],
+        [
+          "remove",
+          i18n.t("readingList.remove"),
+          i18n.t("readingList.removeLabel", { title }),
+          false,
+        ],
+      ].forEach(([action, text, label, disabled]) => {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.dataset.action = action;
+        button.textContent = text;
+        button.disabled = disabled;
+        button.setAttribute("aria-label", label);
+        actions.appendChild(button);
+      });
+
+      li.appendChild(actions);
+      this.list.appendChild(li);
+    });
+  }
+
+  /**
+   * Branchement des boutons "Lire plus tard" des cartes
+   * @param {Object[]} articles - Modèle fourni par ArticleCatalogue.render()
+   */
+  bindCards(articles) {
+    this.articles = articles;
+
+    articles.forEach((article) => {
+      const button = article.element.querySelector(".bookmark-btn");
+      if (!button) return;
+
+      button.addEventListener("click", () => {
+        const id = article.element.id;
+        if (this.has(id)) {
+          this.remove(id);
+        } else {
+          this.add({ id, title: article.title, url: article.url });
+        }
+      });
+    });
+
+    this.syncCards();
+  }
+
+  syncCards() {
+    this.articles.forEach(({ element }) => {
+      const button = element.querySelector(".bookmark-btn");
+      if (button) {
+        button.setAttribute("aria-pressed", String(this.has(element.id)));
+      }
+    });
+  }
+}
+
+// =============================================================================
+// FONCTIONNALITÉ 8: HISTORIQUE DE LECTURE ET NOUVEAUTÉS
+// =============================================================================
+
+class ReadingHistory {
+  constructor() {
+    this.readKey = "runtogether:read-articles";
+    this.visitKey = "runtogether:last-visit";
+    // Au-delà de 30 minutes d'inactivité, une nouvelle visite commence
+    this.visitTimeout = 30 * 60 * 1000;
+    this.readIds = new Set();
+    this.previousVisit = "";
+    this.init();
+  }
+
+  init() {
+    const readIds = readStorage(this.readKey, []);
+    this.readIds = new Set(
+      Array.isArray(readIds)
+        ? readIds.filter((id) => typeof id === "string")
+        : []
+    );
+
+    this.recordVisit(new Date());
+
+    // Page d'article (générée par scripts/build-articles.js) : marquée comme lue
+    const page = document.querySelector("article[data-article-id]");
+    if (page) this.markRead(page.dataset.articleId);
+  }
+
+  /**
+   * Mise à jour de la date de visite ; la visite précédente sert de
+   * référence pour les nouveautés tout au long de la visite en cours
+   * @param {Date} now - Date de la page affichée
+   */
+  recordVisit(now) {
+    const saved = readStorage(this.visitKey, null);
+    const last = saved && new Date(saved.last);
+    const hasLast = last && !isNaN(last.getTime());
+    const isSameVisit = hasLast && now - last < this.visitTimeout;
+
+    if (isSameVisit) {
+      this.previousVisit =
+        typeof saved.previous === "string" ? saved.previous : "";
+    } else {
+      this.previousVisit = hasLast ? saved.last : "";
+    }
+
+    writeStorage(this.visitKey, {
+      previous: this.previousVisit,
+      last: now.toISOString(),
+    });
+  }
+
+  markRead(id) {
+    if (!id || this.readIds.has(id)) return;
+
+    this.readIds.add(id);
+    writeStorage(this.readKey, [...this.readIds]);
+  }
+
+  isRead(id) {
+    return this.readIds.has(id);
+  }
+
+  /**
+   * Article publié depuis la visite précédente (aucune au premier passage)
+   * @param {Object} article - Article du modèle (date AAAA-MM-JJ)
+   * @returns {boolean}
+   */
+  isNew(article) {
+    if (!this.previousVisit || !article.date) return false;
+    return article.date > this.previousVisit.slice(0, 10);
+  }
+
+  /**
+   * État lu/nouveau des articles et badge "Nouveau" sur les cartes
+   * @param {Object[]} articles - Modèle fourni par ArticleCatalogue.render()
+   */
+  decorateCards(articles) {
+    articles.forEach((article) => {
+      article.read = this.isRead(article.id);
+      article.isNew = this.isNew(article);
+      article.element.classList.toggle("is-read", article.read);
+
+      const badge = article.element.querySelector(".badge");
+      if (
+        article.isNew &&
+        badge &&
+        !article.element.querySelector(".badge-new")
+      ) {
+        const newBadge = document.createElement("span");
+        newBadge.className = "badge badge-new";
+        newBadge.textContent = i18n.t("card.new");
+        i18n.applyLanguage(newBadge);
+        badge.after(newBadge);
+      }
+    });
+  }
+}
+
+// =============================================================================
+// FONCTIONNALITÉ 9: RECOMMANDATIONS PERSONNALISÉES
+// =============================================================================
+
+class ArticleRecommender {
+  constructor(profile = new RunnerProfile(), articles = []) {
+    this.profile = profile;
+    this.articles = articles;
+    this.items = [];
+    this.minScore = 2;
+    // Cartes mises en avant par liste (les suivantes sont seulement reclassées)
+    this.maxHighlighted = 3;
+
+    // Points par catégorie et par tag selon l'objectif puis le niveau ;
+    // la raison est affichée sur les cartes qui en bénéficient
+    this.preferences = {
+      goal: {
+        "5k": {
+          reason: i18n.t("recommend.goal.5k"),
+          categories: { entrainement: 2, conseil: 1 },
+          tags: { route: 1, debutant: 1 },
+        },
+        "10k": {
+          reason: i18n.t("recommend.goal.10k"),
+          categories: { entrainement: 2, conseil: 1 },
+          tags: { route: 1 },
+        },
+        semi: {
+          reason: i18n.t("recommend.goal.semi"),
+          categories: { entrainement: 2, nutrition: 1 },
+          tags: { route: 1, recuperation: 1 },
+        },
+        marathon: {
+          reason: i18n.t("recommend.goal.marathon"),
+          categories: { nutrition: 2, entrainement: 1 },
+          tags: { marathon: 3, recuperation: 1 },
+        },
+        trail: {
+          reason: i18n.t("recommend.goal.trail"),
+          categories: { entrainement: 1 },
+          tags: { trail: 3 },
+        },
+      },
+      level: {
+        debutant: {
+          reason: i18n.t("recommend.level.debutant"),
+          categories: { entrainement: 2, conseil: 2 },
+          tags: { debutant: 3, blessures: 1, recuperation: 1 },
+        },
+        intermediaire: {
+          reason: i18n.t("recommend.level.intermediaire"),
+          categories: { entrainement: 2, nutrition: 1 },
+          tags: { recuperation: 1 },
+        },
+        confirme: {
+          reason: i18n.t("recommend.level.confirme"),
+          categories: { entrainement: 1 },
+          tags: { competition: 2, materiel: 1 },
+        },
+      },
+    };
+
+    this.init();
+  }
+
+  init() {
+    const containers = document.querySelectorAll("[data-recommend]");
+    if (!containers.length) {
+      console.warn("Aucune liste d'articles à personnaliser");
+      return;
+    }
+
+    // Cartes du catalogue (modèle) ou mini-cartes statiques (data-category/data-tags)
+    containers.forEach((container) => {
+      [...container.children]
+        .filter((element) => element.matches("article"))
+        .forEach((element, order) => {
+          const article = this.articles.find((a) => a.element === element);
+          this.items.push({
+            element,
+            container,
+            order,
+            category: article ? article.category : element.dataset.category,
+            tags: article
+              ? article.tags
+              : (element.dataset.tags || "").split(",").filter(Boolean),
+          });
+        });
+    });
+
+    this.profile.addChangeListener(() => this.apply());
+    this.apply();
+  }
+
+  /**
+   * Score d'un article pour un profil, avec les raisons correspondantes
+   * @param {Object} article - { category, tags }
+   * @param {Object} profile - Profil normalisé (voir RunnerProfile)
+   * @returns {{score: number, reasons: string[]}}
+   */
+  score(article, profile) {
+    let score = 0;
+    const reasons = [];
+
+    [
+      this.preferences.goal[profile.goal],
+      this.preferences.level[profile.level],
+    ].forEach((preference) => {
+      if (!preference) return;
+
+      const points =
+        (preference.categories[article.category] || 0) +
+        (article.tags || []).reduce(
+          (sum, tag) => sum + (preference.tags[tag] || 0),
+          0
+        );
+      if (points > 0) {
+        score += points;
+        reasons.push(preference.reason);
+      }
+    });
+
+    return { score, reasons };
+  }
+
+  // Reclassement et mise en avant ; sans profil, l'ordre d'origine revient
+  apply() {
+    const profile = this.profile.load();
+    const containers = new Set(this.items.map((item) => item.container));
+
+    containers.forEach((container) => {
+      const results = this.items
+        .filter((item) => item.container === container)
+        .map((item) => ({
+          item,
+          ...(profile ? this.score(item, profile) : { score: 0, reasons: [] }),
+        }))
+        .sort((a, b) => b.score - a.score || a.item.order - b.item.order);
+
+      results.forEach(({ item }, index) => {
+        container.appendChild(item.element);
+        this.highlight(
+          item.element,
+          index < this.maxHighlighted && results[index].score >= this.minScore
+            ? results[index].reasons
+            : []
+        );
+      });
+    });
+  }
+
+  /**
+   * Mise en avant d'une carte avec ses raisons (aucune raison : retrait)
+   * @param {HTMLElement} element - Carte ou mini-carte
+   * @param {string[]} reasons - Raisons de la recommandation
+   */
+  highlight(element, reasons) {
+    const previous = element.querySelector(".recommendation-reason");
+    if (previous) previous.remove();
+    element.classList.toggle("is-recommended", reasons.length > 0);
+    if (!reasons.length) return;
+
+    const reason = document.createElement("p");
+    const label = document.createElement("strong");
+    reason.className = "recommendation-reason";
+    i18n.applyLanguage(reason);
+    label.textContent = i18n.t("recommend.label");
+    reason.appendChild(label);
+    reason.appendChild(document.createTextNode(` · ${reasons.join(" · ")}`));
+
+    const title = element.querySelector(".card-title, .mini-title");
+    if (title) {
+      title.after(reason);
+    } else {
+      element.appendChild(reason);
+    }
+  }
+}
+
+// =============================================================================
+// GESTES TACTILES
+// =============================================================================
+
+/**
+ * Détection d'un glissement horizontal (Pointer Events, doigt ou stylet) ;
+ * un geste d'abord vertical est abandonné pour laisser la page défiler
+ * (à compléter par touch-action: pan-y sur l'élément)
+ */
+class SwipeGesture {
+  /**
+   * @param {HTMLElement} element - Zone sensible au glissement
+   * @param {Object} options - Réactions et seuils
+   * @param {Function} options.onSwipe - Reçoit "left" ou "right" et { dx, velocity }
+   * @param {Function} [options.onMove] - Reçoit le déplacement horizontal en px
+   * @param {Function} [options.onCancel] - Geste abandonné ou trop court
+   * @param {number} [options.threshold=50] - Distance minimale en px
+   * @param {number} [options.minVelocity=0.5] - Vitesse (px/ms) d'un geste vif plus court
+   */
+  constructor(
+    element,
+    {
+      onSwipe,
+      onMove = null,
+      onCancel = null,
+      threshold = 50,
+      minVelocity = 0.5,
+    }
+  ) {
+    this.element = element;
+    this.onSwipe = onSwipe;
+    this.onMove = onMove;
+    this.onCancel = onCancel;
+    this.threshold = threshold;
+    this.minVelocity = minVelocity;
+    // Déplacement ignoré avant de décider de la direction du geste
+    this.slop = 10;
+    this.gesture = null;
+    this.init();
+  }
+
+  init() {
+    if (!this.element) {
+      console.warn("Élément du geste de glissement non trouvé");
+      return;
+    }
+
+    this.element.addEventListener("pointerdown", (e) => this.start(e));
+    this.element.addEventListener("pointermove", (e) => this.move(e));
+    this.element.addEventListener("pointerup", (e) => this.end(e));
+    this.element.addEventListener("pointercancel", () => this.cancel());
+  }
+
+  start(e) {
+    // Souris exclue : les boutons et le clavier suffisent sur ordinateur
+    if (!e.isPrimary || e.pointerType === "mouse") return;
+
+    this.gesture = {
+      pointerId: e.pointerId,
+      startX: e.clientX,
+      startY: e.clientY,
+      startTime: Date.now(),
+      direction: "",
+    };
+  }
+
+  move(e) {
+    const gesture = this.gesture;
+    if (!gesture || e.pointerId !== gesture.pointerId) return;
+
+    const dx = e.clientX - gesture.startX;
+    const dy = e.clientY - gesture.startY;
+
+    if (!gesture.direction) {
+      if (Math.abs(dx) < this.slop && Math.abs(dy) < this.slop) return;
+      gesture.direction =
+        Math.abs(dx) > Math.abs(dy) ? "horizontal" : "vertical";
+
+      if (gesture.direction === "vertical") {
+        this.gesture = null;
+        return;
+      }
+      if (typeof this.element.setPointerCapture === "function") {
+        this.element.setPointerCapture(e.pointerId);
+      }
+    }
+
+    if (this.onMove) this.onMove(dx);
+  }
+
+  end(e) {
+    const gesture = this.gesture;
+    if (!gesture || e.pointerId !== gesture.pointerId) return;
+    this.gesture = null;
+
+    const dx = e.clientX - gesture.startX;
+    const velocity = Math.abs(dx) / Math.max(1, Date.now() - gesture.startTime);
+    // Geste long, ou court mais vif (au moins deux fois le seuil de direction)
+    const isSwipe =
+      gesture.direction === "horizontal" &&
+      (Math.abs(dx) >= this.threshold ||
+        (velocity >= this.minVelocity && Math.abs(dx) >= this.slop * 2));
+
+    if (isSwipe) {
+      this.onSwipe(dx < 0 ? "left" : "right", { dx, velocity });
+    } else if (gesture.direction && this.onCancel) {
+      this.onCancel();
+    }
+  }
+
+  cancel() {
+    if (!this.gesture) return;
+
+    const wasTracking = Boolean(this.gesture.direction);
+    this.gesture = null;
+    if (wasTracking && this.onCancel) this.onCancel();
+  }
+}
+
+// =============================================================================
+// FONCTIONNALITÉ 10: CARROUSEL "CONSEILS"
+// =============================================================================
+
+/**
+ * Carrousel accessible (motif WAI-ARIA "carousel") : défilement carte par
+ * carte, boutons désactivés aux extrémités, position "3 / 8" et annonce
+ * de la diapositive affichée ; défilement automatique facultatif
+ * (data-autoplay="délai en ms")
+ */
+class Carousel {
+  constructor(root) {
+    this.root = root;
+    this.index = 0;
+    this.autoplayDelay = 0;
+    this.autoplayTimer = null;
+    this.isPlaying = false;
+    this.isHovered = false;
+    this.hasFocus = false;
+    this.reducedMotionQuery =
+      typeof window.matchMedia === "function"
+        ? window.matchMedia("(prefers-reduced-motion: reduce)")
+        : null;
+    this.prefersReducedMotion = Boolean(
+      this.reducedMotionQuery && this.reducedMotionQuery.matches
+    );
+    this.init();
+  }
+
+  init() {
+    this.track = this.root && this.root.querySelector(".carousel-track");
+    this.prevButton =
+      this.root && this.root.querySelector(".carousel-btn.prev");
+    this.nextButton =
+      this.root && this.root.querySelector(".carousel-btn.next");
+
+    if (!this.track || !this.prevButton || !this.nextButton) {
+      console.warn("Éléments du carrousel non trouvés");
+      return;
+    }
+
+    this.setupAccessibility();
+
+    this.prevButton.addEventListener("click", () => this.handleButton(-1));
+    this.nextButton.addEventListener("click", () => this.handleButton(1));
+    this.track.addEventListener("keydown", (e) => this.handleKeydown(e));
+
+    // Défilement natif (molette, pavé tactile) : position relue à la fin
+    this.track.addEventListener(
+      "scroll",
+      debounce(() => this.syncWithScroll(), 100)
+    );
+
+    // Glissement au doigt : une carte par largeur de carte parcourue
+    this.swipe = new SwipeGesture(this.track, {
+      onSwipe: (direction, { dx }) => this.handleSwipe(direction, dx),
+    });
+
+    // Cartes reclassées (recommandations) : libellés et position à jour
+    if (typeof MutationObserver === "function") {
+      new MutationObserver(() => this.update()).observe(this.track, {
+        childList: true,
+      });
+    }
+
+    this.update();
+    this.initAutoplay();
+  }
+
+  initAutoplay() {
+    const delay = parseInt(this.root.dataset.autoplay, 10);
+    if (!(delay > 0)) return;
+
+    this.autoplayDelay = delay;
+    this.watchReducedMotion();
+
+    // Jamais de défilement automatique avec "réduire les animations"
+    if (this.prefersReducedMotion) return;
+
+    this.isPlaying = true;
+    this.createAutoplayControls();
+    this.scheduleAutoplay();
+  }
+
+  // Préférence modifiée page ouverte (réglages système)
+  watchReducedMotion() {
+    const query = this.reducedMotionQuery;
+    if (!query) return;
+
+    const handleChange = (e) => this.handleReducedMotionChange(e.matches);
+    if (typeof query.addEventListener === "function") {
+      query.addEventListener("change", handleChange);
+    } else if (typeof query.addListener === "function") {
+      // Safari < 14
+      query.addListener(handleChange);
+    }
+  }
+
+  /**
+   * Rotation arrêtée et bouton masqué quand les animations sont réduites ;
+   * sinon le bouton revient, en pause : la rotation ne reprend pas seule
+   * @param {boolean} prefersReducedMotion - Nouvelle préférence
+   */
+  handleReducedMotionChange(prefersReducedMotion) {
+    this.prefersReducedMotion = prefersReducedMotion;
+
+    if (prefersReducedMotion) {
+      this.isPlaying = false;
+      if (this.autoplayButton) {
+        if (document.activeElement === this.autoplayButton) this.track.focus();
+        this.autoplayButton.hidden = true;
+      }
+    } else {
+      this.createAutoplayControls();
+      this.autoplayButton.hidden = false;
+    }
+
+    this.updateAutoplayButton();
+    this.scheduleAutoplay();
+  }
+
+  createAutoplayControls() {
+    if (this.autoplayButton) return;
+
+    // Bouton de rotation en premier dans l'ordre de tabulation
+    this.autoplayButton = document.createElement("button");
+    this.autoplayButton.type = "button";
+    this.autoplayButton.className = "btn-link carousel-autoplay";
+    i18n.applyLanguage(this.autoplayButton);
+    this.autoplayButton.addEventListener("click", () => {
+      this.isPlaying ? this.pause() : this.play();
+    });
+    this.root.insertBefore(this.autoplayButton, this.root.firstChild);
+
+    // Pause temporaire au survol et quand le focus est dans le carrousel
+    this.root.addEventListener("mouseenter", () => {
+      this.isHovered = true;
+      this.scheduleAutoplay();
+    });
+    this.root.addEventListener("mouseleave", () => {
+      this.isHovered = false;
+      this.scheduleAutoplay();
+    });
+    this.root.addEventListener("focusin", (e) => {
+      this.hasFocus = e.target !== this.autoplayButton;
+      this.scheduleAutoplay();
+    });
+    this.root.addEventListener("focusout", (e) => {
+      if (this.root.contains(e.relatedTarget)) return;
+      this.hasFocus = false;
+      this.scheduleAutoplay();
+    });
+
+    // Onglet masqué : rotation arrêtée jusqu'au retour du visiteur
+    document.addEventListener("visibilitychange", () =>
+      this.scheduleAutoplay()
+    );
 
-class WelcomeMessage {
-  constructor() {
-    this.init();
+    this.updateAutoplayButton();
   }
 
-  init() {
-    const form = document.getElementById("welcome-form");
-    const nameInput = document.getElementById("name-input");
-    const welcomeBtn = document.getElementById("welcome-btn");
-    const messageArea = document.getElementById("welcome-message");
+  play() {
+    this.isPlaying = true;
+    this.updateAutoplayButton();
+    this.scheduleAutoplay();
+  }
 
-    if (!form || !nameInput || !welcomeBtn || !messageArea) {
-      console.warn("Éléments du formulaire de bienvenue non trouvés");
-      return;
-    }
+  pause() {
+    this.isPlaying = false;
+    this.updateAutoplayButton();
+    this.scheduleAutoplay();
+  }
 
-    // Gestionnaire d'événements avec validation et sécurité
-    const handleWelcome = (e) => {
-      e.preventDefault();
+  // La rotation ne tourne que lancée, sans survol ni focus, onglet visible
+  isRotating() {
+    return (
+      this.isPlaying &&
+      !this.prefersReducedMotion &&
+      !this.isHovered &&
+      !this.hasFocus &&
+      !document.hidden
+    );
+  }
 
-      const nameValue = nameInput.value;
+  scheduleAutoplay() {
+    clearTimeout(this.autoplayTimer);
+    this.autoplayTimer = null;
 
-      // Validation de l'entrée
-      if (!validateInput(nameValue, 30)) {
-        this.showMessage(
-          "Veuillez saisir un prénom valide (1-30 caractères).",
-          "error",
-          messageArea
-        );
-        nameInput.focus();
-        return;
-      }
+    // Pas d'annonce pendant la rotation automatique (motif WAI-ARIA)
+    const isRotating = this.isRotating();
+    this.status.setAttribute("aria-live", isRotating ? "off" : "polite");
+    if (!isRotating) return;
 
-      // Sanitisation et affichage du message
-      const safeName = sanitizeInput(nameValue);
-      const welcomeText = `🏃‍♂️ Bienvenue ${safeName} ! Prêt pour votre prochaine course ?`;
+    this.autoplayTimer = setTimeout(() => {
+      const nextIndex = this.index >= this.getMaxIndex() ? 0 : this.index + 1;
+      this.goTo(nextIndex, { announce: false });
+      this.scheduleAutoplay();
+    }, this.autoplayDelay);
+  }
 
-      this.showMessage(welcomeText, "success", messageArea);
+  updateAutoplayButton() {
+    if (!this.autoplayButton) return;
 
-      // Nettoyage du formulaire
-      nameInput.value = "";
-    };
+    this.autoplayButton.textContent = i18n.t(
+      this.isPlaying ? "carousel.pause" : "carousel.play"
+    );
+    this.autoplayButton.classList.toggle("is-paused", !this.isPlaying);
+  }
 
-    // Événements
-    form.addEventListener("submit", handleWelcome);
-    welcomeBtn.addEventListener("click", handleWelcome);
-
-    // Validation en temps réel avec debounce
-    const debouncedValidation = debounce((e) => {
-      const isValid = validateInput(e.target.value, 30);
-      nameInput.classList.toggle(
-        "invalid",
-        !isValid && e.target.value.length > 0
+  setupAccessibility() {
+    const section = this.root.closest("[aria-labelledby]");
+    this.root.setAttribute("role", "region");
+    this.root.setAttribute("aria-roledescription", i18n.t("carousel.role"));
+    if (section) {
+      this.root.setAttribute(
+        "aria-labelledby",
+        section.getAttribute("aria-labelledby")
       );
-      welcomeBtn.disabled = !isValid;
-    }, 300);
+    }
 
-    nameInput.addEventListener("input", debouncedValidation);
-  }
+    // Piste focalisable : les flèches du clavier changent de diapositive
+    if (!this.track.id) this.track.id = "carousel-track";
+    this.track.tabIndex = 0;
+    this.track.setAttribute("role", "group");
+    this.track.setAttribute("aria-label", i18n.t("carousel.slides"));
 
-  showMessage(text, type, container) {
-    container.innerHTML = `<div class="message message--${type}" role="alert" aria-live="polite">${text}</div>`;
+    [
+      [this.prevButton, "carousel.previous"],
+      [this.nextButton, "carousel.next"],
+    ].forEach(([button, key]) => {
+      button.type = "button";
+      button.setAttribute("aria-controls", this.track.id);
+      button.setAttribute("aria-label", i18n.t(key));
+      i18n.applyLanguage(button);
+    });
 
-    // Suppression automatique du message après 5 secondes
-    setTimeout(() => {
-      if (container.firstChild) {
-        container.firstChild.remove();
-      }
-    }, 5000);
-  }
-}
+    // Position visible ("3 / 8") et annonce détaillée pour les lecteurs d'écran
+    this.position = document.createElement("p");
+    this.position.className = "carousel-position";
+    this.position.setAttribute("aria-hidden", "true");
 
-// =============================================================================
-// FONCTIONNALITÉ 2: MASQUER/AFFICHER ARTICLES
-// =============================================================================
+    this.status = document.createElement("p");
+    this.status.className = "visually-hidden";
+    this.status.setAttribute("aria-live", "polite");
+    this.status.setAttribute("aria-atomic", "true");
+    i18n.applyLanguage(this.status);
 
-class ArticleToggle {
-  constructor() {
-    this.hiddenArticles = new Set();
-    this.init();
+    this.root.appendChild(this.position);
+    this.root.appendChild(this.status);
   }
 
-  init() {
-    const toggleButtons = document.querySelectorAll(".article-toggle-btn");
+  getSlides() {
+    return [...this.track.children].filter((element) =>
+      element.matches("article")
+    );
+  }
 
-    toggleButtons.forEach((button) => {
-      button.addEventListener("click", (e) => this.handleToggle(e));
-    });
+  // Décalage d'une carte depuis le début de la piste
+  getOffset(slide, slides) {
+    return slide.offsetLeft - slides[0].offsetLeft;
   }
 
-  handleToggle(e) {
-    const button = e.target;
-    const articleId = button.dataset.articleId;
+  /**
+   * Dernière position atteignable : quand plusieurs cartes sont visibles,
+   * la piste ne défile plus avant la dernière carte
+   * @returns {number} - Index de la dernière position
+   */
+  getMaxIndex() {
+    const slides = this.getSlides();
+    // Sans mise en page (ex. tests), chaque carte est une position
+    if (!this.track.clientWidth) return Math.max(0, slides.length - 1);
 
-    if (!articleId) {
-      console.warn("ID d'article manquant");
-      return;
-    }
+    const maxScroll = this.track.scrollWidth - this.track.clientWidth;
+    const index = slides.findIndex(
+      (slide) => this.getOffset(slide, slides) >= maxScroll - 1
+    );
+    return index === -1 ? Math.max(0, slides.length - 1) : index;
+  }
 
-    const article = document.getElementById(articleId);
-    if (!article) {
-      console.warn(`Article avec l'ID ${articleId} non trouvé`);
-      return;
-    }
+  /**
+   * Affichage d'une diapositive (bornée aux positions atteignables)
+   * @param {number} index - Index de la carte à placer en premier
+   * @param {Object} [options]
+   * @param {boolean} [options.announce=true] - Annonce de la diapositive
+   */
+  goTo(index, { announce = true } = {}) {
+    const slides = this.getSlides();
+    if (!slides.length) return;
 
-    const isHidden = this.hiddenArticles.has(articleId);
+    this.index = Math.max(0, Math.min(index, this.getMaxIndex()));
+    const left = this.getOffset(slides[this.index], slides);
+    const behavior = this.prefersReducedMotion ? "auto" : "smooth";
 
-    if (isHidden) {
-      this.showArticle(article, button, articleId);
+    if (typeof this.track.scrollTo === "function") {
+      this.track.scrollTo({ left, behavior });
     } else {
-      this.hideArticle(article, button, articleId);
+      this.track.scrollLeft = left;
     }
+
+    this.update();
+    if (announce) this.announce();
   }
 
-  hideArticle(article, button, articleId) {
-    article.style.display = "none";
-    article.setAttribute("aria-hidden", "true");
+  next() {
+    this.goTo(this.index + 1);
+  }
 
-    // Mise à jour du texte du bouton
-    button.textContent = "Afficher l'article";
-    button.setAttribute("aria-label", "Afficher l'article masqué");
-    button.classList.add("hidden-state");
+  previous() {
+    this.goTo(this.index - 1);
+  }
 
-    this.hiddenArticles.add(articleId);
+  // Bouton désactivé en bout de piste : le focus passe sur l'autre bouton
+  handleButton(offset) {
+    const button = offset < 0 ? this.prevButton : this.nextButton;
+    const otherButton = offset < 0 ? this.nextButton : this.prevButton;
+
+    this.goTo(this.index + offset);
+    if (button.disabled && !otherButton.disabled) otherButton.focus();
   }
 
-  showArticle(article, button, articleId) {
-    article.style.display = "";
-    article.removeAttribute("aria-hidden");
+  /**
+   * Glissement terminé : défilement d'au moins une carte entière
+   * @param {string} direction - "left" (cartes suivantes) ou "right"
+   * @param {number} dx - Déplacement horizontal en px
+   */
+  handleSwipe(direction, dx) {
+    const [slide] = this.getSlides();
+    const slideWidth = slide ? slide.offsetWidth : 0;
+    const count = slideWidth
+      ? Math.max(1, Math.round(Math.abs(dx) / slideWidth))
+      : 1;
 
-    // Restauration du texte du bouton
-    button.textContent = "Masquer l'article";
-    button.setAttribute("aria-label", "Masquer cet article");
-    button.classList.remove("hidden-state");
+    this.goTo(this.index + (direction === "left" ? count : -count));
+    // Le délai de rotation automatique repart après le geste
+    if (this.autoplayDelay) this.scheduleAutoplay();
+  }
 
-    this.hiddenArticles.delete(articleId);
+  handleKeydown(e) {
+    if (e.target !== this.track) return;
+
+    const actions = {
+      ArrowLeft: () => this.previous(),
+      ArrowRight: () => this.next(),
+      Home: () => this.goTo(0),
+      End: () => this.goTo(this.getMaxIndex()),
+    };
+    if (!actions[e.key]) return;
+
+    e.preventDefault();
+    actions[e.key]();
   }
 
-  // Méthode pour restaurer tous les articles (utile pour les tests)
-  showAllArticles() {
-    this.hiddenArticles.forEach((articleId) => {
-      const article = document.getElementById(articleId);
-      const button = document.querySelector(`[data-article-id="${articleId}"]`);
+  // Carte la plus proche de la position de défilement actuelle
+  syncWithScroll() {
+    const slides = this.getSlides();
+    if (!slides.length || !this.track.clientWidth) return;
 
-      if (article && button) {
-        this.showArticle(article, button, articleId);
-      }
+    const distances = slides.map((slide) =>
+      Math.abs(this.getOffset(slide, slides) - this.track.scrollLeft)
+    );
+    this.index = distances.indexOf(Math.min(...distances));
+    this.update();
+  }
+
+  update() {
+    const slides = this.getSlides();
+    const total = slides.length;
+    this.index = Math.min(this.index, this.getMaxIndex());
+
+    slides.forEach((slide, index) => {
+      slide.setAttribute("role", "group");
+      slide.setAttribute("aria-roledescription", i18n.t("carousel.slide"));
+      slide.setAttribute(
+        "aria-label",
+        i18n.t("carousel.slideLabel", { index: index + 1, total })
+      );
+    });
+
+    this.prevButton.disabled = this.index <= 0;
+    this.nextButton.disabled = this.index >= this.getMaxIndex();
+    this.position.textContent = total ? `${this.index + 1} / ${total}` : "";
+  }
+
+  announce() {
+    const slides = this.getSlides();
+    const slide = slides[this.index];
+    const title = slide && slide.querySelector(".mini-title, .card-title");
+
+    this.status.textContent = i18n.t("carousel.announce", {
+      index: this.index + 1,
+      total: slides.length,
+      title: title ? title.textContent.trim() : "",
     });
   }
 }
 
 // =============================================================================
-// FONCTIONNALITÉ 3: FILTRAGE PAR CATÉGORIE
+// FONCTIONNALITÉ 11: REPÈRES DE NAVIGATION (PAGE ET SECTION ACTIVES)
 // =============================================================================
 
-class ArticleFilter {
-  constructor() {
-    this.articles = [];
-    this.currentFilter = "all";
+/**
+ * Lien de la page courante (aria-current="page") et, sur l'accueil, lien de
+ * la section affichée : un lien "#id" ou data-section="id" suit la section
+ * correspondante au fil du défilement
+ */
+class NavigationHighlight {
+  /**
+   * @param {HTMLElement} nav - Navigation principale
+   */
+  constructor(nav) {
+    this.nav = nav;
+    this.links = [];
+    this.sections = [];
+    this.sectionLinks = new Map();
+    this.visibleSections = new Set();
+    this.activeLink = null;
     this.init();
   }
 
   init() {
-    // Récupération des articles avec leurs catégories
-    this.articles = Array.from(
-      document.querySelectorAll(".card[data-category]")
-    ).map((article) => ({
-      element: article,
-      category: article.dataset.category.toLowerCase(),
-      visible: true,
-    }));
-
-    // Initialisation du sélecteur de catégorie
-    const categorySelect = document.getElementById("category-filter");
-    if (!categorySelect) {
-      console.warn("Sélecteur de catégorie non trouvé");
-      return;
-    }
-
-    // Génération automatique des options de catégorie
-    this.populateCategoryOptions(categorySelect);
-
-    // Gestionnaire d'événements avec debounce pour la performance
-    const debouncedFilter = debounce((e) => {
-      this.filterArticles(e.target.value);
-    }, 150);
+    // Liens principaux uniquement (pas les groupes de .nav-extra)
+    this.links = [...this.nav.children].filter((element) =>
+      element.matches("a[href]")
+    );
 
-    categorySelect.addEventListener("change", debouncedFilter);
+    this.markCurrentPage();
+    this.setupScrollSpy();
+  }
 
-    // Compteur d'articles
-    this.updateResultCount();
+  /**
+   * Chemin de page comparable ("/" et "/index.html" désignent l'accueil)
+   * @param {URL|Location} url - Adresse à normaliser
+   * @returns {string}
+   */
+  getPagePath(url) {
+    return url.pathname.replace(/\/index\.html$/, "/");
   }
 
-  populateCategoryOptions(selectElement) {
-    // Extraction des catégories uniques
-    const categories = [
-      ...new Set(this.articles.map((article) => article.category)),
-    ];
+  markCurrentPage() {
+    const currentPath = this.getPagePath(window.location);
 
-    // Nettoyage des options existantes (sauf "Toutes les catégories")
-    const existingOptions = Array.from(selectElement.options);
-    existingOptions.forEach((option, index) => {
-      if (index > 0) option.remove();
-    });
+    this.links.forEach((link) => {
+      const href = link.getAttribute("href");
+      const url = new URL(href, window.location.href);
+      const isCurrent =
+        !href.startsWith("#") &&
+        !url.hash &&
+        url.origin === window.location.origin &&
+        this.getPagePath(url) === currentPath;
 
-    // Ajout des nouvelles options
-    categories.sort().forEach((category) => {
-      const option = document.createElement("option");
-      option.value = category;
-      option.textContent = this.formatCategoryName(category);
-      selectElement.appendChild(option);
+      if (isCurrent) {
+        link.setAttribute("aria-current", "page");
+      } else if (link.getAttribute("aria-current") === "page") {
+        link.removeAttribute("aria-current");
+      }
     });
   }
 
-  formatCategoryName(category) {
-    // Formatage du nom de catégorie pour l'affichage
-    const categoryMap = {
-      actu: "Actu",
-      "actu-produits": "Actu produits",
-      "a-la-une": "À la une",
-      entrainement: "Entraînement",
-      conseil: "Conseil",
-      nutrition: "Nutrition",
-    };
+  setupScrollSpy() {
+    this.links.forEach((link) => {
+      const href = link.getAttribute("href");
+      const id =
+        link.dataset.section || (href.startsWith("#") ? href.slice(1) : "");
+      const section = id && document.getElementById(id);
+      if (section) this.sectionLinks.set(section, link);
+    });
 
-    return (
-      categoryMap[category] ||
-      category.charAt(0).toUpperCase() + category.slice(1).replace("-", " ")
+    // Ordre du document : la première section visible l'emporte
+    this.sections = [...this.sectionLinks.keys()].sort((a, b) =>
+      a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1
     );
-  }
 
-  filterArticles(selectedCategory) {
-    this.currentFilter = selectedCategory;
-    let visibleCount = 0;
+    if (!this.sections.length) return;
+    if (typeof window.IntersectionObserver !== "function") return;
 
-    this.articles.forEach((article) => {
-      const shouldShow =
-        selectedCategory === "all" || article.category === selectedCategory;
+    // Bande de lecture au milieu de l'écran plutôt que le bord supérieur
+    this.observer = new IntersectionObserver(
+      (entries) => this.handleIntersections(entries),
+      { rootMargin: "-40% 0px -55% 0px" }
+    );
+    this.sections.forEach((section) => this.observer.observe(section));
+  }
 
-      if (shouldShow) {
-        article.element.style.display = "";
-        article.element.removeAttribute("aria-hidden");
-        article.visible = true;
-        visibleCount++;
+  /**
+   * @param {IntersectionObserverEntry[]} entries - Sections entrées ou sorties
+   */
+  handleIntersections(entries) {
+    entries.forEach(({ target, isIntersecting }) => {
+      if (isIntersecting) {
+        this.visibleSections.add(target);
       } else {
-        article.element.style.display = "none";
-        article.element.setAttribute("aria-hidden", "true");
-        article.visible = false;
+        this.visibleSections.delete(target);
       }
     });
 
-    this.updateResultCount(visibleCount);
-    this.announceFilterChange(selectedCategory, visibleCount);
+    const section = this.sections.find((element) =>
+      this.visibleSections.has(element)
+    );
+    this.setActiveLink(section ? this.sectionLinks.get(section) : null);
   }
 
-  updateResultCount(count = null) {
-    const resultCountElement = document.getElementById("result-count");
-    if (!resultCountElement) return;
+  /**
+   * @param {HTMLAnchorElement|null} link - Lien de la section affichée
+   */
+  setActiveLink(link) {
+    if (link === this.activeLink) return;
 
-    const totalVisible =
-      count !== null ? count : this.articles.filter((a) => a.visible).length;
-    const totalArticles = this.articles.length;
+    if (this.activeLink) {
+      this.activeLink.classList.remove("active");
+      if (this.activeLink.getAttribute("aria-current") === "location") {
+        this.activeLink.removeAttribute("aria-current");
+      }
+    }
 
-    let message = "";
-    if (this.currentFilter === "all") {
-      message = `${totalArticles} article${
-        totalArticles > 1 ? "s" : ""
-      } au total`;
-    } else {
-      message = `${totalVisible} article${
-        totalVisible > 1 ? "s" : ""
-      } dans la catégorie "${this.formatCategoryName(this.currentFilter)}"`;
+    this.activeLink = link;
+    if (!link) return;
+
+    link.classList.add("active");
+    if (!link.hasAttribute("aria-current")) {
+      link.setAttribute("aria-current", "location");
     }
+  }
 
-    resultCountElement.textContent = message;
+  destroy() {
+    if (this.observer) this.observer.disconnect();
   }
+}
 
-  announceFilterChange(category, count) {
-    // Annonce pour les lecteurs d'écran
-    const announcement =
-      category === "all"
-        ? `Tous les articles sont affichés. ${count} articles au total.`
-        : `Filtrage par catégorie ${this.formatCategoryName(
-            category
-          )}. ${count} article${count > 1 ? "s" : ""} trouvé${
-            count > 1 ? "s" : ""
-          }.`;
+/**
+ * En-tête collant masqué en descendant et réaffiché en remontant ; il reste
+ * visible en haut de page, menu ouvert ou quand le focus s'y trouve
+ */
+class StickyHeader {
+  /**
+   * @param {HTMLElement} header - En-tête du site (.site-header)
+   */
+  constructor(header) {
+    this.header = header;
+    this.tolerance = 8;
+    this.lastScrollY = 0;
+    this.isTicking = false;
+    this.init();
+  }
 
-    const announcer = document.getElementById("filter-announcer");
-    if (announcer) {
-      announcer.textContent = announcement;
-    }
+  init() {
+    this.lastScrollY = window.pageYOffset;
+
+    // Une mise à jour par image, quel que soit le nombre d'événements scroll
+    this.handleScroll = () => {
+      if (this.isTicking) return;
+      this.isTicking = true;
+      window.requestAnimationFrame(() => {
+        this.isTicking = false;
+        this.update();
+      });
+    };
+    window.addEventListener("scroll", this.handleScroll, { passive: true });
+
+    // Tabulation vers l'en-tête masqué : il réapparaît
+    this.header.addEventListener("focusin", () => this.show());
   }
 
-  // Méthode pour réinitialiser le filtre (utile pour les tests)
-  resetFilter() {
-    const categorySelect = document.getElementById("category-filter");
-    if (categorySelect) {
-      categorySelect.value = "all";
-      this.filterArticles("all");
+  /**
+   * @param {number} [scrollY] - Position verticale de la page
+   */
+  update(scrollY = window.pageYOffset) {
+    const y = Math.max(0, scrollY);
+    const delta = y - this.lastScrollY;
+
+    if (y <= this.header.offsetHeight) {
+      this.show();
+    } else if (Math.abs(delta) < this.tolerance) {
+      return;
+    } else if (delta > 0 && !this.isLocked()) {
+      this.header.classList.add("is-hidden");
+    } else if (delta < 0) {
+      this.show();
     }
+
+    this.lastScrollY = y;
+  }
+
+  // Menu mobile ouvert ou focus dans l'en-tête : pas de masquage
+  isLocked() {
+    return (
+      document.body.classList.contains("no-scroll") ||
+      this.header.contains(document.activeElement)
+    );
+  }
+
+  show() {
+    this.header.classList.remove("is-hidden");
+  }
+
+  destroy() {
+    window.removeEventListener("scroll", this.handleScroll);
   }
 }
 
@@ -378,25 +4957,24 @@ class Navigation {
 
     // Optimisation du code existant avec gestion d'erreurs
     this.setupMobileNavigation(navToggle, nav, backdrop);
-    this.setupCarousel();
   }
 
   setupMobileNavigation(navToggle, nav, backdrop) {
-    const focusableSel =
-      'a, button, input, select, textarea, [tabindex]:not([tabindex="-1"])';
-    let lastFocus;
+    // Menu ouvert modal : le bouton et le fond restent utilisables pour le fermer
+    this.navTrap = new FocusTrap(nav, {
+      exclude: [navToggle, backdrop],
+      onEscape: () => closeNav(),
+    });
 
     const openNav = () => {
       try {
-        lastFocus = document.activeElement;
         nav.classList.add("is-open");
         backdrop.hidden = false;
         backdrop.classList.add("is-active");
         document.body.classList.add("no-scroll");
         navToggle.setAttribute("aria-expanded", "true");
 
-        const first = nav.querySelector(focusableSel);
-        if (first) first.focus();
+        this.navTrap.activate();
       } catch (error) {
         console.error("Erreur lors de l'ouverture de la navigation:", error);
       }
@@ -410,64 +4988,38 @@ class Navigation {
         document.body.classList.remove("no-scroll");
         navToggle.setAttribute("aria-expanded", "false");
 
-        if (lastFocus) lastFocus.focus();
+        this.navTrap.deactivate();
       } catch (error) {
         console.error("Erreur lors de la fermeture de la navigation:", error);
       }
     };
 
-    const handleKeyboardNavigation = (e) => {
-      if (!nav.classList.contains("is-open")) return;
-
-      if (e.key === "Escape") {
-        closeNav();
-        return;
-      }
-
-      if (e.key === "Tab") {
-        const focusableElements = [...nav.querySelectorAll(focusableSel)];
-        if (!focusableElements.length) return;
-
-        const first = focusableElements[0];
-        const last = focusableElements[focusableElements.length - 1];
-
-        if (e.shiftKey && document.activeElement === first) {
-          last.focus();
-          e.preventDefault();
-        } else if (!e.shiftKey && document.activeElement === last) {
-          first.focus();
-          e.preventDefault();
-        }
-      }
-    };
-
     // Événements
     navToggle.addEventListener("click", () => {
       nav.classList.contains("is-open") ? closeNav() : openNav();
     });
 
     backdrop.addEventListener("click", closeNav);
-    window.addEventListener("keyup", handleKeyboardNavigation);
-  }
-
-  setupCarousel() {
-    const track = document.getElementById("track");
-    const prevBtn = document.querySelector(".carousel-btn.prev");
-    const nextBtn = document.querySelector(".carousel-btn.next");
 
-    if (!track || !prevBtn || !nextBtn) return;
-
-    const prefersReducedMotion = window.matchMedia(
-      "(prefers-reduced-motion: reduce)"
-    ).matches;
-    const behavior = prefersReducedMotion ? "auto" : "smooth";
-
-    prevBtn.addEventListener("click", () => {
-      track.scrollBy({ left: -320, behavior });
-    });
+    // Tiroir ouvert à droite : il suit le doigt et se ferme vers la droite
+    const resetDrag = () => {
+      nav.classList.remove("is-dragging");
+      nav.style.transform = "";
+    };
 
-    nextBtn.addEventListener("click", () => {
-      track.scrollBy({ left: 320, behavior });
+    this.swipe = new SwipeGesture(nav, {
+      onMove: (dx) => {
+        if (!nav.classList.contains("is-open")) return;
+        nav.classList.add("is-dragging");
+        nav.style.transform = `translateX(${Math.max(0, dx)}px)`;
+      },
+      onSwipe: (direction) => {
+        resetDrag();
+        if (direction === "right" && nav.classList.contains("is-open")) {
+          closeNav();
+        }
+      },
+      onCancel: resetDrag,
     });
   }
 }
@@ -491,26 +5043,65 @@ class RunTogetherApp {
     } else {
       this.initializeComponents();
     }
+
+    // Un seul écouteur, même si les cartes sont initialisées après un nouvel essai
+    window.addEventListener("hashchange", () => this.revealHashTarget());
   }
 
   initializeComponents() {
     try {
       // Initialisation des composants avec gestion d'erreurs
+      // Validation déclarative, avant les gestionnaires d'envoi des composants
+      this.components.formValidators = [
+        ...document.querySelectorAll("form[data-validate]"),
+      ].map((form) => new FormValidator(form));
+
       this.components.navigation = new Navigation();
 
-      // Initialisation conditionnelle selon la page
-      if (document.getElementById("welcome-form")) {
-        this.components.welcomeMessage = new WelcomeMessage();
+      const nav = document.getElementById("nav-principal");
+      if (nav) {
+        this.components.navigationHighlight = new NavigationHighlight(nav);
+      }
+
+      const header = document.querySelector(".site-header");
+      if (header) this.components.stickyHeader = new StickyHeader(header);
+
+      this.components.localeSwitcher = new LocaleSwitcher();
+
+      const carousel = document.querySelector(".carousel");
+      if (carousel) this.components.carousel = new Carousel(carousel);
+      this.components.catalogue = new ArticleCatalogue();
+
+      if (document.querySelector("form.search #q")) {
+        this.components.siteSearch = new SiteSearch(this.components.catalogue);
       }
 
-      if (document.querySelector(".article-toggle-btn")) {
-        this.components.articleToggle = new ArticleToggle();
+      if (document.getElementById("nav-principal")) {
+        this.components.readingList = new ReadingList();
       }
 
-      if (document.getElementById("category-filter")) {
-        this.components.articleFilter = new ArticleFilter();
+      this.components.readingHistory = new ReadingHistory();
+
+      // Initialisation conditionnelle selon la page
+      // Profil de coureur partagé (accueil, recommandations)
+      this.components.runnerProfile = new RunnerProfile();
+
+      if (document.getElementById("welcome-form")) {
+        this.components.welcomeMessage = new WelcomeMessage(
+          this.components.runnerProfile
+        );
       }
 
+      // Les composants d'articles attendent le rendu des cartes ; catalogue
+      // indisponible : ils sont initialisés au premier nouvel essai réussi
+      const { catalogue } = this.components;
+      this.ready = catalogue.render().then((articles) => {
+        if (!catalogue.loadError) this.initializeArticleComponents(articles);
+      });
+      catalogue.addRetryListener((articles) =>
+        this.initializeArticleComponents(articles)
+      );
+
       console.log(
         "RunTogether: Toutes les fonctionnalités ont été initialisées avec succès"
       );
@@ -519,6 +5110,76 @@ class RunTogetherApp {
     }
   }
 
+  /**
+   * Initialisation des composants travaillant sur les cartes d'articles
+   * @param {Object[]} articles - Modèle fourni par ArticleCatalogue.render()
+   */
+  initializeArticleComponents(articles) {
+    try {
+      // Modèle de visibilité commun : cartes réduites et filtres combinés
+      const visibility = new ArticleVisibility(articles);
+
+      if (articles.length) {
+        this.components.toasts = new ToastManager();
+        this.components.articleToggle = new ArticleToggle(
+          articles,
+          visibility,
+          this.components.toasts
+        );
+      }
+
+      // État lu/nouveau à connaître avant la mise en place des filtres
+      this.components.readingHistory.decorateCards(articles);
+
+      if (this.components.readingList) {
+        this.components.readingList.bindCards(articles);
+      }
+
+      if (document.querySelector("[data-recommend]")) {
+        this.components.recommender = new ArticleRecommender(
+          this.components.runnerProfile,
+          articles
+        );
+      }
+
+      if (document.getElementById("category-filter")) {
+        this.components.articleFilter = new ArticleFilter(articles, visibility);
+      }
+
+      if (document.getElementById("filtre") && this.components.articleFilter) {
+        this.components.articleSearch = new ArticleSearch(
+          this.components.articleFilter
+        );
+      }
+
+      if (this.components.articleFilter) {
+        this.components.filterUrlState = new FilterUrlState(
+          this.components.articleFilter,
+          this.components.articleSearch
+        );
+      }
+
+      // Les cartes sont rendues après le défilement natif vers l'ancre
+      this.revealHashTarget();
+    } catch (error) {
+      console.error("Erreur lors de l'initialisation des articles:", error);
+    }
+  }
+
+  revealHashTarget() {
+    if (!window.location.hash) return;
+
+    const target = document.getElementById(
+      decodeURIComponent(window.location.hash.slice(1))
+    );
+    if (!target || !target.classList.contains("card")) return;
+
+    const { articleFilter } = this.components;
+    if (articleFilter && !articleFilter.revealArticle(target)) return;
+
+    target.scrollIntoView();
+  }
+
   // Méthodes d'accès pour les tests
   getComponent(name) {
     return this.components[name];
@@ -549,12 +5210,43 @@ const app = new RunTogetherApp();
 if (typeof module !== "undefined" && module.exports) {
   module.exports = {
     RunTogetherApp,
+    ArticleCatalogue,
+    ArticleVisibility,
+    ToastManager,
+    FocusTrap,
+    FormValidator,
+    I18n,
+    LocaleSwitcher,
+    RunnerProfile,
     WelcomeMessage,
     ArticleToggle,
     ArticleFilter,
+    ArticleSearch,
+    SiteSearch,
+    ReadingList,
+    ReadingHistory,
+    ArticleRecommender,
+    SwipeGesture,
+    Carousel,
+    NavigationHighlight,
+    StickyHeader,
+    FilterUrlState,
     Navigation,
     sanitizeInput,
     validateInput,
+    countGraphemes,
+    validateName,
+    normalizeText,
+    formatLabel,
+    slugify,
+    formatCardDate,
+    i18n,
+    readStorage,
+    writeStorage,
+    removeStorage,
+    cleanSearchQuery,
+    getSearchTerms,
+    scoreSearchMatch,
     debounce,
   };
 }
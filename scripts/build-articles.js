@@ -0,0 +1,573 @@
+/**
+ * RunTogether - Génération des pages d'article
+ * Convertit les fichiers Markdown de content/articles/ en pages HTML
+ * (gabarit templates/article.html), met à jour assets/data/articles.json
+ * et pré-remplit les grilles de cartes des pages de listing (lisibles sans JS)
+ * Usage : npm run build:articles
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const ROOT = path.resolve(__dirname, "..");
+const SOURCE_DIR = path.join(ROOT, "content", "articles");
+const TEMPLATE = path.join(ROOT, "templates", "article.html");
+const CATALOGUE = path.join(ROOT, "assets", "data", "articles.json");
+const SITE_URL = "https://www.runtogether.fr/";
+// Pages dont les grilles data-catalogue sont pré-remplies entre deux marqueurs
+const LISTING_PAGES = ["index.html", "articles.html"];
+const CARDS_START = "<!-- cartes:debut -->";
+const CARDS_END = "<!-- cartes:fin -->";
+const DEFAULT_AUTHOR = "Équipe RunTogether";
+
+const REQUIRED_FIELDS = ["title", "date", "category", "image", "excerpt"];
+
+// Lien Markdown ; l'adresse peut contenir un niveau de parenthèses (Trail_(sport))
+const MARKDOWN_LINK = /\[([^\]]+)\]\(((?:[^()\s]|\([^()\s]*\))+)\)/g;
+
+// Libellés des catégories et tags, identiques à ceux de main.js
+const LABELS = {
+  actu: "Actu",
+  "actu-produits": "Actu produits",
+  "a-la-une": "À la une",
+  entrainement: "Entraînement",
+  conseil: "Conseil",
+  nutrition: "Nutrition",
+  competition: "Compétition",
+  debutant: "Débutant",
+  materiel: "Matériel",
+  "montres-gps": "Montres GPS",
+  recuperation: "Récupération",
+};
+
+/**
+ * Échappement HTML (texte et valeurs d'attributs)
+ * @param {string} text - Texte brut
+ * @returns {string} - Texte échappé
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Lecture du front-matter (lignes "clé: valeur" entre deux ---)
+ * @param {string} source - Contenu du fichier Markdown
+ * @returns {{data: Object, body: string}} - Métadonnées et corps de l'article
+ */
+function parseFrontMatter(source) {
+  const match = source.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  if (!match) return { data: {}, body: source };
+
+  const data = {};
+  match[1].split(/\r?\n/).forEach((line) => {
+    const separator = line.indexOf(":");
+    if (separator === -1 || line.trim().startsWith("#")) return;
+
+    const key = line.slice(0, separator).trim();
+    const value = line
+      .slice(separator + 1)
+      .trim()
+      .replace(/^(["'])(.*)\1$/, "$2");
+    if (key) data[key] = value;
+  });
+
+  return { data, body: source.slice(match[0].length) };
+}
+
+/**
+ * Liste de tags saisie dans le front-matter ("Chaussures, Trail")
+ * @param {string} value - Valeur brute, tags séparés par des virgules
+ * @returns {string[]} - Slugs uniques, ex. ["chaussures", "trail"]
+ */
+function parseTags(value) {
+  const slugs = (value || "").split(",").map((tag) =>
+    tag
+      .toLowerCase()
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+  );
+  return [...new Set(slugs.filter(Boolean))];
+}
+
+/**
+ * Adresse utilisable dans un lien : http(s), mailto, relative ou ancre
+ * (javascript:, data: et les autres schémas sont refusés)
+ * @param {string} url - Adresse écrite dans le Markdown
+ * @returns {boolean} - True si le lien peut être rendu
+ */
+function isSafeUrl(url) {
+  const scheme = url.match(/^([a-z][a-z0-9+.-]*):/i);
+  if (scheme) {
+    return ["http", "https", "mailto"].includes(scheme[1].toLowerCase());
+  }
+
+  // Sans schéma : pas de caractère de contrôle en tête ni de ":" avant le chemin
+  return /^[\w./?#~%-]/.test(url) && !/^[^/?#]*:/.test(url);
+}
+
+/**
+ * Mise en forme en ligne : gras, italique, liens
+ * @param {string} text - Texte Markdown d'une ligne ou d'un paragraphe
+ * @returns {string} - Fragment HTML
+ */
+function renderInline(text) {
+  return escapeHtml(text)
+    .replace(/\*\*(.+?)\*\*/g, "<strong>$1</strong>")
+    .replace(/(^|[^*])\*([^*]+)\*/g, "$1<em>$2</em>")
+    .replace(MARKDOWN_LINK, (match, label, url) => {
+      if (isSafeUrl(url)) return `<a href="${url}">${label}</a>`;
+
+      // Adresse refusée : seul le texte du lien est conservé
+      console.warn(`Lien ignoré (adresse non autorisée) : ${url}`);
+      return label;
+    });
+}
+
+/**
+ * Dimensions intrinsèques d'une image JPEG ou PNG (évite les décalages de mise en page)
+ * @param {string} src - Chemin relatif à la racine du site
+ * @returns {{width: number, height: number}|null} - Dimensions, ou null si illisibles
+ */
+function readImageSize(src) {
+  let buffer;
+  try {
+    buffer = fs.readFileSync(path.join(ROOT, src));
+  } catch (error) {
+    console.warn(`Image introuvable : ${src}`);
+    return null;
+  }
+
+  // PNG : dimensions dans l'en-tête IHDR
+  if (buffer.toString("ascii", 1, 4) === "PNG") {
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+
+  // JPEG : parcours des segments jusqu'au marqueur SOF
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+    let offset = 2;
+    while (offset + 9 < buffer.length) {
+      const marker = buffer[offset + 1];
+      const isSof =
+        marker >= 0xc0 &&
+        marker <= 0xcf &&
+        ![0xc4, 0xc8, 0xcc].includes(marker);
+      if (isSof) {
+        return {
+          width: buffer.readUInt16BE(offset + 7),
+          height: buffer.readUInt16BE(offset + 5),
+        };
+      }
+      offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Variante WebP d'une image, si elle existe à côté de l'original
+ * @param {string} src - Chemin de l'image
+ * @returns {string|null} - Chemin de la variante WebP
+ */
+function findWebp(src) {
+  const webp = src.replace(/\.(jpe?g|png)$/i, ".webp");
+  return webp !== src && fs.existsSync(path.join(ROOT, webp)) ? webp : null;
+}
+
+/**
+ * Balisage d'une image : <picture> avec source WebP et dimensions connues
+ * @param {string} src - Chemin de l'image
+ * @param {string} alt - Texte alternatif
+ * @param {Object} options - { lazy: chargement différé }
+ * @returns {string} - Fragment HTML (sans indentation)
+ */
+function renderPicture(src, alt, { lazy = true } = {}) {
+  const size = readImageSize(src);
+  const webp = findWebp(src);
+  const attributes = [
+    `src="${escapeHtml(src)}"`,
+    `alt="${escapeHtml(alt)}"`,
+    size ? `width="${size.width}" height="${size.height}"` : "",
+    lazy ? 'loading="lazy"' : "",
+    'decoding="async"',
+  ].filter(Boolean);
+
+  const source = webp
+    ? `<source srcset="${escapeHtml(webp)}" type="image/webp" />\n`
+    : "";
+  return `${source}<img ${attributes.join(" ")} />`;
+}
+
+/**
+ * Conversion du corps Markdown en HTML
+ * Sous-ensemble pris en charge : titres (##, ###), paragraphes, listes,
+ * images seules sur leur ligne, gras, italique et liens
+ * @param {string} markdown - Corps de l'article
+ * @returns {string} - HTML de l'article
+ */
+function renderMarkdown(markdown) {
+  const blocks = markdown
+    .replace(/\r\n/g, "\n")
+    .split(/\n\s*\n/)
+    .map((block) => block.trim())
+    .filter(Boolean);
+
+  return blocks
+    .map((block) => {
+      const lines = block.split("\n").map((line) => line.trim());
+
+      const heading = block.match(/^(#{2,3})\s+(.+)$/);
+      if (heading && lines.length === 1) {
+        // Les titres de section reprennent le bandeau vert du gabarit
+        return heading[1] === "##"
+          ? `<h2 class="section-bar">${renderInline(heading[2])}</h2>`
+          : `<h3>${renderInline(heading[2])}</h3>`;
+      }
+
+      const image = block.match(/^!\[([^\]]*)\]\(([^)]+)\)$/);
+      if (image) {
+        const picture = indent(renderPicture(image[2], image[1]), 4);
+        return `<figure class="wide-figure">\n  <picture>\n${picture}\n  </picture>\n</figure>`;
+      }
+
+      if (lines.every((line) => /^[-*]\s+/.test(line))) {
+        const items = lines.map(
+          (line) => `  <li>${renderInline(line.replace(/^[-*]\s+/, ""))}</li>`
+        );
+        return `<ul>\n${items.join("\n")}\n</ul>`;
+      }
+
+      if (lines.every((line) => /^\d+\.\s+/.test(line))) {
+        const items = lines.map(
+          (line) => `  <li>${renderInline(line.replace(/^\d+\.\s+/, ""))}</li>`
+        );
+        return `<ol>\n${items.join("\n")}\n</ol>`;
+      }
+
+      return `<p>${renderInline(lines.join(" "))}</p>`;
+    })
+    .join("\n\n");
+}
+
+/**
+ * Indentation d'un fragment HTML pour l'insérer dans le gabarit
+ * @param {string} html - Fragment HTML
+ * @param {number} spaces - Nombre d'espaces
+ * @returns {string} - Fragment indenté
+ */
+function indent(html, spaces) {
+  const padding = " ".repeat(spaces);
+  return html
+    .split("\n")
+    .map((line) => (line ? padding + line : line))
+    .join("\n");
+}
+
+/**
+ * Date lisible pour l'en-tête de l'article
+ * @param {string} isoDate - Date AAAA-MM-JJ
+ * @returns {string} - Date au format "02 juin 2025"
+ */
+function formatDateLabel(isoDate) {
+  return new Date(`${isoDate}T00:00:00`).toLocaleDateString("fr-FR", {
+    day: "2-digit",
+    month: "long",
+    year: "numeric",
+  });
+}
+
+/**
+ * Date des cartes (même format que formatCardDate() dans main.js)
+ * @param {string} isoDate - Date AAAA-MM-JJ
+ * @returns {string} - Date au format "02 juin, 2025"
+ */
+function formatCardDate(isoDate) {
+  const date = new Date(`${isoDate}T00:00:00`);
+  if (isNaN(date.getTime())) return isoDate;
+
+  const day = String(date.getDate()).padStart(2, "0");
+  const month = date.toLocaleDateString("fr-FR", { month: "long" });
+  return `${day} ${month}, ${date.getFullYear()}`;
+}
+
+/**
+ * Lecture et validation d'un article Markdown
+ * @param {string} file - Chemin du fichier
+ * @returns {Object} - Article (métadonnées + HTML du corps)
+ */
+function readArticle(file) {
+  const { data, body } = parseFrontMatter(fs.readFileSync(file, "utf8"));
+  const name = path.relative(ROOT, file);
+
+  const missing = REQUIRED_FIELDS.filter((field) => !data[field]);
+  if (missing.length > 0) {
+    throw new Error(`${name} : champ(s) manquant(s) ${missing.join(", ")}`);
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(data.date)) {
+    throw new Error(`${name} : date invalide "${data.date}" (AAAA-MM-JJ)`);
+  }
+
+  const id = data.id || path.basename(file, ".md");
+  return {
+    ...data,
+    id,
+    page: data.page || `article-${id}.html`,
+    author: data.author || DEFAULT_AUTHOR,
+    tags: parseTags(data.tags),
+    imageAlt: data.image_alt || data.title,
+    html: renderMarkdown(body),
+  };
+}
+
+/**
+ * Libellé d'une catégorie ou d'un tag (même règle que formatLabel() dans main.js)
+ * @param {string} slug - Catégorie ou tag
+ * @returns {string} - Libellé affiché
+ */
+function formatLabel(slug) {
+  return (
+    LABELS[slug] ||
+    slug.charAt(0).toUpperCase() + slug.slice(1).replace(/-/g, " ")
+  );
+}
+
+/**
+ * Liens des tags vers le listing filtré (même balisage que les cartes)
+ * @param {string[]} tags - Slugs des tags
+ * @param {string} [className] - Classes de la liste
+ * @returns {string} - Liste HTML, vide sans tag
+ */
+function renderTagList(tags, className = "card-tags article-tags") {
+  if (!tags.length) return "";
+
+  const items = tags.map(
+    (tag) =>
+      `  <li><a class="card-tag" href="articles.html?tag=${encodeURIComponent(
+        tag
+      )}">#${escapeHtml(formatLabel(tag))}</a></li>`
+  );
+  return `<ul class="${className}" aria-label="Tags">\n${items.join(
+    "\n"
+  )}\n</ul>`;
+}
+
+/**
+ * Génération de la page HTML d'un article
+ * @param {string} template - Gabarit HTML
+ * @param {Object} article - Article lu par readArticle()
+ * @returns {string} - Page complète
+ */
+function renderPage(template, article) {
+  const intro = article.intro
+    ? `<p class="article-intro-standalone">\n  <strong>${renderInline(
+        article.intro
+      )}</strong>\n</p>\n\n`
+    : "";
+
+  const values = {
+    id: escapeHtml(article.id),
+    title: escapeHtml(article.title),
+    description: escapeHtml(article.excerpt),
+    canonical: escapeHtml(SITE_URL + article.page),
+    date: article.date,
+    dateLabel: formatDateLabel(article.date),
+    author: escapeHtml(article.author),
+    image: escapeHtml(article.image),
+    categoryLabel: escapeHtml(formatLabel(article.category)),
+    heroImage: indent(
+      renderPicture(article.image, article.imageAlt, { lazy: false }),
+      10
+    ),
+    content: indent(intro + article.html, 10),
+    keywords: escapeHtml(article.tags.map(formatLabel).join(", ")),
+    tagList: indent(renderTagList(article.tags), 8),
+  };
+
+  return template.replace(/\{\{(\w+)\}\}/g, (placeholder, key) =>
+    key in values ? values[key] : placeholder
+  );
+}
+
+/**
+ * Entrée du catalogue (cartes du listing et recherche globale)
+ * @param {Object} article - Article lu par readArticle()
+ * @returns {Object} - Entrée de assets/data/articles.json
+ */
+function toCatalogueEntry(article) {
+  const image = { src: article.image };
+  const webp = findWebp(article.image);
+  if (webp) image.webp = webp;
+  image.alt = article.imageAlt;
+
+  return {
+    id: article.id,
+    title: article.title,
+    url: article.page,
+    category: article.category,
+    tags: article.tags,
+    date: article.date,
+    excerpt: article.excerpt,
+    image,
+  };
+}
+
+/**
+ * Carte statique d'un article (balisage de createCard() dans main.js, sans
+ * les boutons qui demandent JavaScript)
+ * @param {Object} entry - Entrée du catalogue
+ * @returns {string} - Élément <article class="card">
+ */
+function renderCard(entry) {
+  const id = `article-${entry.id}`;
+  const url = escapeHtml(entry.url || `articles.html#${id}`);
+  const image = entry.image || {};
+  const category = escapeHtml(entry.category);
+  const categoryLabel = escapeHtml(formatLabel(entry.category));
+  const src = escapeHtml(image.src || "");
+  const alt = escapeHtml(image.alt || "");
+  const title = escapeHtml(entry.title);
+  const date = escapeHtml(entry.date || "");
+  const dateLabel = entry.date ? escapeHtml(formatCardDate(entry.date)) : "";
+  const excerpt = escapeHtml(entry.excerpt || "");
+  const source = image.webp
+    ? `\n      <source srcset="${escapeHtml(image.webp)}" type="image/webp" />`
+    : "";
+  const tagList = renderTagList(entry.tags || [], "card-tags");
+  const tags = tagList ? `\n${indent(tagList, 6)}` : "";
+
+  return `<article class="card" id="${id}" data-category="${category}">
+  <a class="card-media" href="${url}">
+    <picture>${source}
+      <img src="${src}" alt="${alt}" width="600" height="400" loading="lazy" decoding="async" />
+    </picture>
+    <span class="badge badge-green">${categoryLabel}</span>
+  </a>
+  <div class="card-body">
+    <h3 class="card-title"><a href="${url}">${title}</a></h3>
+    <div class="card-details">
+      <div class="meta">
+        <span class="meta-item">
+          <svg class="icon-cal-mini" viewBox="0 0 16 16" aria-hidden="true">
+            <rect x="1" y="3" width="14" height="12" rx="2" ry="2" />
+            <path d="M1 6h14M5 1v4M11 1v4" />
+          </svg>
+          <time datetime="${date}">${dateLabel}</time>
+        </span>
+      </div>
+      <p class="card-excerpt">${excerpt}</p>${tags}
+    </div>
+    <div class="card-actions">
+      <a class="btn btn-blue" href="${url}">Lire plus</a>
+    </div>
+  </div>
+</article>`;
+}
+
+/**
+ * Pré-remplissage des grilles data-catalogue d'une page de listing (entre
+ * les marqueurs cartes:debut et cartes:fin, data-limit respecté)
+ * @param {string} html - Page de listing
+ * @param {Object[]} catalogue - Entrées triées du plus récent au plus ancien
+ * @returns {string} - Page mise à jour
+ */
+function renderListing(html, catalogue) {
+  const pattern = new RegExp(
+    `(<div class="cards-grid" data-catalogue([^>]*)>\\n( *)${CARDS_START})[\\s\\S]*?${CARDS_END}`,
+    "g"
+  );
+
+  return html.replace(pattern, (match, opening, attributes, padding) => {
+    const limit = attributes.match(/data-limit="(\d+)"/);
+    const entries = limit ? catalogue.slice(0, Number(limit[1])) : catalogue;
+    const cards = indent(entries.map(renderCard).join("\n"), padding.length);
+
+    return `${opening}\n${cards}\n${padding}${CARDS_END}`;
+  });
+}
+
+/**
+ * Fusion avec le catalogue existant : les articles Markdown remplacent
+ * les entrées de même identifiant, les autres cartes sont conservées
+ * @param {Object[]} catalogue - Entrées actuelles
+ * @param {Object[]} entries - Entrées générées
+ * @returns {Object[]} - Catalogue trié du plus récent au plus ancien
+ */
+function mergeCatalogue(catalogue, entries) {
+  const generatedIds = new Set(entries.map((entry) => entry.id));
+
+  return catalogue
+    .filter((entry) => !generatedIds.has(entry.id))
+    .concat(entries)
+    .sort((a, b) => b.date.localeCompare(a.date));
+}
+
+function build() {
+  const files = fs
+    .readdirSync(SOURCE_DIR)
+    .filter((file) => file.endsWith(".md"))
+    .map((file) => path.join(SOURCE_DIR, file));
+
+  const template = fs.readFileSync(TEMPLATE, "utf8");
+  const articles = files.map(readArticle);
+
+  articles.forEach((article) => {
+    fs.writeFileSync(
+      path.join(ROOT, article.page),
+      renderPage(template, article)
+    );
+    console.log(`Page générée : ${article.page}`);
+  });
+
+  const catalogue = fs.existsSync(CATALOGUE)
+    ? JSON.parse(fs.readFileSync(CATALOGUE, "utf8"))
+    : [];
+  const merged = mergeCatalogue(catalogue, articles.map(toCatalogueEntry));
+  fs.writeFileSync(CATALOGUE, `${JSON.stringify(merged, null, 2)}\n`);
+
+  console.log(
+    `Catalogue mis à jour : ${merged.length} articles -> ${path.relative(
+      ROOT,
+      CATALOGUE
+    )}`
+  );
+
+  LISTING_PAGES.forEach((page) => {
+    const file = path.join(ROOT, page);
+    const html = fs.readFileSync(file, "utf8");
+    if (!html.includes(CARDS_START)) {
+      console.warn(`Marqueur ${CARDS_START} absent : ${page} non mise à jour`);
+      return;
+    }
+    fs.writeFileSync(file, renderListing(html, merged));
+    console.log(`Cartes pré-rendues : ${page}`);
+  });
+}
+
+if (require.main === module) {
+  try {
+    build();
+  } catch (error) {
+    console.error(
+      `Erreur lors de la génération des articles : ${error.message}`
+    );
+    process.exitCode = 1;
+  }
+}
+
+module.exports = {
+  parseFrontMatter,
+  parseTags,
+  renderMarkdown,
+  renderPage,
+  renderListing,
+  readImageSize,
+  mergeCatalogue,
+};
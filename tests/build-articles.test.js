@@ -0,0 +1,62 @@
+/**
+ * Tests de la génération des pages d'article (scripts/build-articles.js)
+ * Exécutés avec Node : npm test
+ */
+
+const { TestRunner } = require("./main.test.js");
+const { renderMarkdown } = require("../scripts/build-articles.js");
+
+class BuildTests extends TestRunner {
+  run() {
+    console.log("\n🏗️  TESTS DE LA GÉNÉRATION DES ARTICLES\n");
+
+    this.describe("Rendu Markdown - Liens", () => {
+      // Avertissements attendus pour les liens refusés : non affichés
+      const render = (markdown) => {
+        const warn = console.warn;
+        console.warn = () => {};
+        try {
+          return renderMarkdown(markdown);
+        } finally {
+          console.warn = warn;
+        }
+      };
+
+      this.it("devrait rendre les liens http, mailto et relatifs", () => {
+        this.expect(render("[Guide](https://www.runtogether.fr/)")).toBe(
+          '<p><a href="https://www.runtogether.fr/">Guide</a></p>'
+        );
+        this.expect(
+          render("[Écrire](mailto:contact@runtogether.fr)")
+        ).toContain('href="mailto:contact@runtogether.fr"');
+        this.expect(render("[Articles](articles.html#trail)")).toContain(
+          'href="articles.html#trail"'
+        );
+        this.expect(render("[Haut de page](#top)")).toContain('href="#top"');
+      });
+
+      this.it("devrait rendre en texte les liens javascript: et data:", () => {
+        this.expect(render("[x](javascript:alert(1))")).toBe("<p>x</p>");
+        this.expect(render("[x](JavaScript:alert(1))")).toBe("<p>x</p>");
+        this.expect(render("[x](data:text/html,<script>)")).toBe("<p>x</p>");
+        this.expect(render("[x](\u0001javascript:alert(1))")).toBe("<p>x</p>");
+      });
+
+      this.it("devrait accepter une adresse avec parenthèses", () => {
+        this.expect(
+          render("[Trail](https://fr.wikipedia.org/wiki/Trail_(sport)) !")
+        ).toBe(
+          '<p><a href="https://fr.wikipedia.org/wiki/Trail_(sport)">Trail</a> !</p>'
+        );
+      });
+    });
+
+    console.log(
+      `\n📊 Génération : ${this.results.passed}/${this.results.total} tests réussis`
+    );
+    return this.results;
+  }
+}
+
+const results = new BuildTests().run();
+if (results.failed > 0) process.exitCode = 1;
@@ -127,6 +127,23 @@ class TestRunner {
         this.expect(validateInput("A".repeat(51))).toBeFalsy();
       });
 
+      this.it("normalizeText devrait ignorer la casse et les accents", () => {
+        this.expect(normalizeText("Entraînement")).toBe("entrainement");
+        this.expect(normalizeText("  Vélo   ÉTÉ ")).toBe("velo ete");
+        this.expect(normalizeText(null)).toBe("");
+      });
+
+      this.it("readStorage/writeStorage devraient relire le JSON", () => {
+        const key = "runtogether:test";
+        this.expect(writeStorage(key, ["a", "b"])).toBeTruthy();
+        this.expect(readStorage(key, []).length).toBe(2);
+
+        // Donnée corrompue : valeur par défaut
+        window.localStorage.setItem(key, "{invalide");
+        this.expect(readStorage(key, "défaut")).toBe("défaut");
+        window.localStorage.removeItem(key);
+      });
+
       this.it("debounce devrait retarder l'exécution", (done) => {
         let callCount = 0;
         const debouncedFn = debounce(() => callCount++, 100);
@@ -287,9 +304,129 @@ class FeatureTests extends TestRunner {
   runFeatureTests() {
     console.log("\n🎯 TESTS FONCTIONNELS SPÉCIFIQUES\n");
 
+    this.testI18nFeature();
     this.testWelcomeMessageFeature();
+    this.testFormValidatorFeature();
+    this.testArticleCatalogueFeature();
     this.testArticleToggleFeature();
+    this.testArticleVisibilityFeature();
+    this.testUndoToastFeature();
+    this.testFocusTrapFeature();
+    this.testReadingListFeature();
+    this.testReadingHistoryFeature();
+    this.testRecommendationFeature();
+    this.testCarouselFeature();
+    this.testNavigationHighlightFeature();
     this.testArticleFilterFeature();
+    this.testArticleTagsFeature();
+    this.testArticleSortFeature();
+    this.testPaginationFeature();
+    this.testArticleSearchFeature();
+    this.testSiteSearchFeature();
+    this.testFilterUrlStateFeature();
+  }
+
+  testI18nFeature() {
+    this.describe("Fonctionnalité: Internationalisation", () => {
+      const createI18n = (locale) => {
+        const translator = new I18n("runtogether:test-locale");
+        translator.setLocale(locale);
+        window.localStorage.removeItem(translator.storageKey);
+        return translator;
+      };
+
+      this.it("devrait accorder les messages selon la langue", () => {
+        const fr = createI18n("fr");
+        const en = createI18n("en");
+
+        this.expect(fr.t("hidden.count", { count: 0 })).toBe(
+          "0 article masqué"
+        );
+        this.expect(fr.t("hidden.count", { count: 2 })).toBe(
+          "2 articles masqués"
+        );
+        this.expect(en.t("hidden.count", { count: 0 })).toBe(
+          "0 hidden articles"
+        );
+        this.expect(en.t("hidden.count", { count: 1 })).toBe(
+          "1 hidden article"
+        );
+        this.expect(
+          en.t("readingList.marked", { title: "Trail", state: "read" })
+        ).toBe('"Trail" marked as read');
+      });
+
+      this.it("devrait gérer les valeurs exactes et les clés inconnues", () => {
+        const en = createI18n("en");
+        this.expect(
+          en.format("{n, plural, =0 {none} one {# item} other {# items}}", {
+            n: 0,
+          })
+        ).toBe("none");
+        this.expect(en.t("inconnue.cle")).toBe("inconnue.cle");
+        // Message absent en anglais : repli sur le français
+        en.messages.fr["test.fallback"] = "Bonjour {name}";
+        this.expect(en.t("test.fallback", { name: "Léa" })).toBe("Bonjour Léa");
+        delete en.messages.fr["test.fallback"];
+      });
+
+      this.it("devrait refuser une langue non prise en charge", () => {
+        const translator = createI18n("en-GB");
+        this.expect(translator.locale).toBe("en");
+        this.expect(translator.setLocale("de")).toBeFalsy();
+        this.expect(translator.formatDate("2025-06-02")).toBe("June 2, 2025");
+      });
+
+      this.it("devrait déclarer la langue sur les seuls textes générés", () => {
+        const pageLang = document.documentElement.lang;
+        const fr = createI18n("fr");
+        fr.pageLocale = "fr";
+        this.expect(fr.applyLanguage(document.createElement("p")).lang).toBe(
+          ""
+        );
+
+        // Interface en anglais : le contenu statique reste en français
+        const previousLocale = i18n.locale;
+        const previousPageLocale = i18n.pageLocale;
+        i18n.pageLocale = "fr";
+        i18n.locale = "en";
+        const toasts = new ToastManager();
+        const catalogue = new ArticleCatalogue();
+        const card = catalogue.createCard({
+          slug: "test-langue",
+          title: "Préparer son premier trail",
+          category: "trail",
+          date: "2025-06-02",
+        });
+        i18n.locale = previousLocale;
+        i18n.pageLocale = previousPageLocale;
+
+        this.expect(document.documentElement.lang).toBe(pageLang);
+        this.expect(toasts.region.lang).toBe("en");
+        this.expect(card.querySelector(".card-actions").lang).toBe("en");
+        this.expect(card.querySelector(".card-title").lang).toBe("");
+        this.expect(card.lang).toBe("");
+        toasts.region.remove();
+      });
+
+      this.it("devrait accorder chaque message de la même façon", () => {
+        const translator = createI18n("fr");
+        // Arguments au pluriel et valeurs exactes (=0), dans l'ordre
+        const pluralArguments = (message) =>
+          (message.match(/\{\w+, plural,|=\d+ \{/g) || []).join(" ");
+
+        Object.keys(translator.messages.en).forEach((key) => {
+          const fr = translator.messages.fr[key];
+          if (fr === undefined) return;
+          this.expect(
+            `${key}: ${pluralArguments(translator.messages.en[key])}`
+          ).toBe(`${key}: ${pluralArguments(fr)}`);
+        });
+        this.expect(translator.t("filter.announce", { count: 0 })).toContain(
+          "Aucun article trouvé"
+        );
+      });
+    });
   }
 
   testWelcomeMessageFeature() {
@@ -316,6 +453,26 @@ class FeatureTests extends TestRunner {
         });
       });
 
+      this.it("devrait accepter les prénoms de toutes les écritures", () => {
+        ["Zoë", "Jose\u0301", "Марія", "李小龙", "N’Golo", "O'Connor"].forEach(
+          (name) => {
+            this.expect(validateName(name).valid).toBeTruthy();
+          }
+        );
+        // Accent combinant : un seul caractère perçu
+        this.expect(countGraphemes("Jose\u0301")).toBe(4);
+        this.expect(validateName("E\u0301".repeat(30)).valid).toBeTruthy();
+      });
+
+      this.it("devrait indiquer la raison du refus d'un prénom", () => {
+        this.expect(validateName("   ").reason).toBe("empty");
+        this.expect(validateName("A".repeat(31)).reason).toBe("too-long");
+        this.expect(validateName("12345").reason).toBe("invalid-characters");
+        this.expect(validateName("Marie 😀").reason).toBe("invalid-characters");
+        this.expect(validateName("--").reason).toBe("no-letter");
+        this.expect(validateName("12345").message).toContain("lettres");
+      });
+
       this.it("devrait sécuriser les prénoms avec du code malveillant", () => {
         const maliciousNames = [
           '<script>alert("hack")</script>',
@@ -328,6 +485,176 @@ class FeatureTests extends TestRunner {
           this.expect(sanitized).toContain("&lt;");
         });
       });
+
+      this.it("devrait enregistrer puis oublier le profil de coureur", () => {
+        const profile = new RunnerProfile("runtogether:test-profile");
+        const saved = profile.save({
+          name: " Marie ",
+          level: "debutant",
+          goal: "10k",
+          volume: "20",
+        });
+        this.expect(saved).toBeTruthy();
+
+        const loaded = profile.load();
+        this.expect(loaded.name).toBe("Marie");
+        this.expect(loaded.volume).toBe(20);
+        this.expect(profile.describe(loaded)).toContain("objectif 10 km");
+
+        profile.clear();
+        this.expect(profile.load()).toBe(null);
+      });
+
+      this.it("devrait écarter les valeurs de profil invalides", () => {
+        const profile = new RunnerProfile("runtogether:test-profile");
+        this.expect(profile.normalize({ name: "   " })).toBe(null);
+
+        const cleaned = profile.normalize({
+          name: "Léa",
+          level: "constructor",
+          goal: "ultra",
+          volume: 1000,
+        });
+        this.expect(cleaned.level).toBe("");
+        this.expect(cleaned.goal).toBe("");
+        this.expect(cleaned.volume).toBe(null);
+      });
+    });
+  }
+
+  testFormValidatorFeature() {
+    this.describe("Fonctionnalité: Validation des formulaires", () => {
+      const createForm = () => {
+        const form = document.createElement("form");
+        form.innerHTML = `
+          <input id="test-name" data-required data-rule="name" />
+          <input id="test-email" data-type="email" />
+          <input id="test-code" data-pattern="[A-Z]{2}\\d{2}" data-error-pattern="Code attendu : AB12" />`;
+        document.body.appendChild(form);
+        return form;
+      };
+
+      this.it(
+        "devrait signaler les champs invalides et focaliser le premier",
+        () => {
+          const form = createForm();
+          const validator = new FormValidator(form);
+          form.querySelector("#test-email").value = "coureur@";
+          form.querySelector("#test-code").value = "ab12";
+
+          this.expect(validator.validate()).toBeFalsy();
+          this.expect(document.activeElement.id).toBe("test-name");
+          this.expect(
+            form.querySelector("#test-email").getAttribute("aria-describedby")
+          ).toBe("test-email-error");
+          this.expect(
+            document.getElementById("test-code-error").textContent
+          ).toBe("Code attendu : AB12");
+          form.remove();
+        }
+      );
+
+      this.it(
+        "devrait accepter des valeurs valides et des règles nommées",
+        () => {
+          const form = createForm();
+          const validator = new FormValidator(form);
+          form.querySelector("#test-name").value = "Zoë";
+          form.querySelector("#test-code").value = "AB12";
+          this.expect(validator.validate()).toBeTruthy();
+
+          validator.addRule("name", (value) =>
+            value === "Zoë" ? "Prénom déjà pris" : ""
+          );
+          this.expect(validator.validate()).toBeFalsy();
+          this.expect(
+            form.querySelector("#test-name").getAttribute("aria-invalid")
+          ).toBe("true");
+          form.remove();
+        }
+      );
+
+      this.it("devrait ignorer un motif invalide en mode Unicode", () => {
+        const form = document.createElement("form");
+        form.innerHTML = '<input id="test-motif" data-pattern="\\-\\d+" />';
+        document.body.appendChild(form);
+        const validator = new FormValidator(form);
+        form.querySelector("#test-motif").value = "abc";
+
+        this.expect(validator.validate()).toBeTruthy();
+        this.expect(
+          validator.getPattern(form.querySelector("#test-motif"))
+        ).toBe(null);
+        form.remove();
+      });
+    });
+  }
+
+  testArticleCatalogueFeature() {
+    this.describe("Fonctionnalité: Catalogue d'articles", () => {
+      const catalogue = new ArticleCatalogue();
+      const entry = {
+        id: "premier-trail",
+        title: "Préparer son premier trail",
+        category: "entrainement",
+        date: "2025-05-12",
+        excerpt: "Les bases pour bien débuter",
+        image: { src: "assets/images/trail.jpg", alt: "Coureur en forêt" },
+      };
+
+      this.it("devrait générer l'identifiant et le lien des cartes", () => {
+        this.expect(catalogue.getElementId(entry)).toBe(
+          "article-premier-trail"
+        );
+        this.expect(catalogue.getArticleUrl(entry)).toBe(
+          "articles.html#article-premier-trail"
+        );
+        this.expect(
+          catalogue.getArticleUrl({ ...entry, url: "article.html" })
+        ).toBe("article.html");
+      });
+
+      this.it("devrait créer une carte à partir d'une entrée", () => {
+        const card = catalogue.createCard(entry);
+        this.expect(card.id).toBe("article-premier-trail");
+        this.expect(card.dataset.category).toBe("entrainement");
+        this.expect(card.querySelector(".badge").textContent).toBe(
+          "Entraînement"
+        );
+        this.expect(card.querySelector("time").dateTime).toBe("2025-05-12");
+      });
+
+      this.it("devrait formater les catégories et les dates", () => {
+        this.expect(formatLabel("a-la-une")).toBe("À la une");
+        this.expect(formatLabel("inconnue")).toBe("Inconnue");
+        this.expect(formatCardDate("2025-06-02")).toBe("02 juin, 2025");
+      });
+
+      this.it("devrait proposer un nouvel essai en cas d'échec", () => {
+        const container = document.createElement("div");
+        container.appendChild(catalogue.createCard(entry));
+        let retried = null;
+        catalogue.retry = (grid) => (retried = grid);
+
+        // Cartes pré-rendues conservées, message et bouton placés avant
+        catalogue.renderError(container);
+        catalogue.renderError(container);
+        const errors = container.querySelectorAll(".cards-error");
+        this.expect(errors.length).toBe(1);
+        this.expect(container.firstElementChild).toBe(errors[0]);
+        this.expect(container.querySelectorAll(".card").length).toBe(1);
+        this.expect(errors[0].textContent).toContain(
+          i18n.t("catalogue.degraded")
+        );
+
+        errors[0].querySelector("button").click();
+        this.expect(retried).toBe(container);
+
+        container.textContent = "";
+        catalogue.renderError(container);
+        this.expect(container.textContent).toContain(i18n.t("catalogue.error"));
+        delete catalogue.retry;
+      });
     });
   }
 
@@ -350,6 +677,616 @@ class FeatureTests extends TestRunner {
           this.expect(toggle.hiddenArticles.has("article-1")).toBeFalsy();
         }
       );
+
+      this.it("devrait conserver les articles masqués des autres pages", () => {
+        const toggle = new ArticleToggle();
+        toggle.storageKey = "runtogether:test-hidden";
+        toggle.otherPageIds = ["article-accueil"];
+        toggle.hiddenArticles.add("article-1");
+
+        toggle.saveHiddenArticles();
+        const savedIds = toggle.loadHiddenArticles();
+        this.expect(savedIds.length).toBe(2);
+        this.expect(savedIds).toContain("article-accueil");
+        window.localStorage.removeItem(toggle.storageKey);
+      });
+
+      this.it("devrait réduire la carte masquée à son titre", () => {
+        const card = new ArticleCatalogue().createCard({
+          id: "test-reduit",
+          title: "Article réduit",
+          category: "conseil",
+        });
+        document.body.appendChild(card);
+        const button = card.querySelector(".article-toggle-btn");
+        const toggle = new ArticleToggle([
+          { element: card, category: "conseil", visible: true },
+        ]);
+        toggle.storageKey = "runtogether:test-hidden";
+
+        toggle.hideArticle(card, button, card.id);
+        this.expect(card.classList.contains("is-collapsed")).toBeTruthy();
+        this.expect(button.getAttribute("aria-expanded")).toBe("false");
+        this.expect(button.getAttribute("aria-controls")).toContain(
+          `${card.id}-details`
+        );
+
+        toggle.showArticle(card, button, card.id);
+        this.expect(card.classList.contains("is-collapsed")).toBeFalsy();
+        this.expect(button.getAttribute("aria-expanded")).toBe("true");
+        card.remove();
+        toggle.bar.remove();
+        window.localStorage.removeItem(toggle.storageKey);
+      });
+
+      this.it("devrait tout réafficher via le bouton de la carte", () => {
+        const card = new ArticleCatalogue().createCard({
+          id: "test-tout-reafficher",
+          title: "Article à réafficher",
+          category: "conseil",
+        });
+        document.body.appendChild(card);
+        const button = card.querySelector(".article-toggle-btn");
+        const bookmark = card.querySelector(".bookmark-btn");
+        const bookmarkText = bookmark.textContent;
+        const toggle = new ArticleToggle([
+          { element: card, category: "conseil", visible: true },
+        ]);
+        toggle.storageKey = "runtogether:test-hidden";
+
+        toggle.hideArticle(card, button, card.id);
+        toggle.showAllArticles();
+        this.expect(card.classList.contains("is-collapsed")).toBeFalsy();
+        this.expect(button.getAttribute("aria-expanded")).toBe("true");
+        this.expect(button.textContent).toBe(i18n.t("card.hide"));
+        this.expect(bookmark.textContent).toBe(bookmarkText);
+        this.expect(toggle.hiddenArticles.size).toBe(0);
+        card.remove();
+        toggle.bar.remove();
+        window.localStorage.removeItem(toggle.storageKey);
+      });
+    });
+  }
+
+  testArticleVisibilityFeature() {
+    this.describe("Fonctionnalité: Visibilité unifiée des articles", () => {
+      const createArticles = () =>
+        ["conseil", "conseil", "nutrition"].map((category, index) => ({
+          element: { ...this.createMockCard(), id: `article-${index}` },
+          category,
+          visible: true,
+        }));
+
+      this.it("devrait combiner toutes les règles actives", () => {
+        const visibility = new ArticleVisibility(createArticles());
+        visibility.setRule("filter", (a) => a.category === "conseil");
+        visibility.setRule("other", (a) => a.element.id !== "article-0");
+
+        this.expect(visibility.update()).toBe(1);
+        this.expect(
+          visibility.isAllowed(visibility.articles[0], "other")
+        ).toBeTruthy();
+      });
+
+      this.it(
+        "ne devrait pas réafficher un article exclu en levant le filtre",
+        () => {
+          const articles = createArticles();
+          const visibility = new ArticleVisibility(articles);
+          visibility.setRule("other", (a) => a.element.id !== "article-2");
+          const filter = new ArticleFilter(articles, visibility);
+
+          filter.setCategories(["nutrition"]);
+          this.expect(filter.matchingArticles.length).toBe(0);
+
+          filter.resetFilter();
+          this.expect(articles[2].visible).toBeFalsy();
+          this.expect(filter.articles.filter((a) => a.visible).length).toBe(2);
+        }
+      );
+
+      this.it(
+        "ne devrait pas réafficher un article masqué en levant le filtre",
+        () => {
+          const catalogue = new ArticleCatalogue();
+          const articles = ["conseil", "conseil", "nutrition"].map(
+            (category, index) => ({
+              element: catalogue.createCard({
+                id: `test-visibilite-${index}`,
+                title: `Article ${index}`,
+                category,
+              }),
+              category,
+              visible: true,
+            })
+          );
+          const visibility = new ArticleVisibility(articles);
+          const toggle = new ArticleToggle(articles, visibility);
+          const filter = new ArticleFilter(articles, visibility);
+          const stub = articles[2].element;
+
+          toggle.hiddenArticles.add(stub.id);
+          filter.setCategories(["nutrition"]);
+          // La carte réduite reste un résultat, affiché sous forme de talon
+          this.expect(filter.matchingArticles.length).toBe(1);
+          this.expect(stub.classList.contains("is-collapsed")).toBeTruthy();
+
+          filter.resetFilter();
+          this.expect(articles[2].visible).toBeTruthy();
+          this.expect(stub.classList.contains("is-collapsed")).toBeTruthy();
+          this.expect(visibility.collapsedCount).toBe(1);
+          this.expect(
+            articles[0].element.classList.contains("is-collapsed")
+          ).toBeFalsy();
+        }
+      );
+    });
+  }
+
+  testUndoToastFeature() {
+    this.describe("Fonctionnalité: Notification d'annulation", () => {
+      this.it("devrait exécuter l'action puis retirer la notification", () => {
+        const toasts = new ToastManager();
+        let undone = false;
+        toasts.show({
+          message: "Article masqué",
+          actionLabel: "Annuler",
+          onAction: () => (undone = true),
+        });
+
+        toasts.region.querySelector(".toast-action").click();
+        this.expect(undone).toBeTruthy();
+        this.expect(toasts.region.children.length).toBe(0);
+        toasts.region.remove();
+      });
+
+      this.it("devrait empiler plusieurs notifications", () => {
+        const toasts = new ToastManager();
+        let dismissed = 0;
+        const first = toasts.show({
+          message: "Premier",
+          onDismiss: () => dismissed++,
+        });
+        toasts.show({ message: "Second" });
+        this.expect(toasts.region.children.length).toBe(2);
+
+        first.close();
+        first.close();
+        this.expect(dismissed).toBe(1);
+        this.expect(toasts.region.children.length).toBe(1);
+        toasts.region.remove();
+      });
+    });
+  }
+
+  testFocusTrapFeature() {
+    this.describe("Fonctionnalité: Piège à focus des dialogues", () => {
+      const createDialog = () => {
+        const dialog = document.createElement("div");
+        dialog.innerHTML = `
+          <button type="button">Premier</button>
+          <button type="button">Dernier</button>`;
+        document.body.appendChild(dialog);
+        return dialog;
+      };
+      const pressKey = (key, shiftKey = false) =>
+        document.dispatchEvent(
+          new KeyboardEvent("keydown", { key, shiftKey, bubbles: true })
+        );
+
+      this.it(
+        "devrait boucler Tab et rendre le reste de la page inerte",
+        () => {
+          const opener = document.createElement("button");
+          document.body.appendChild(opener);
+          opener.focus();
+
+          const dialog = createDialog();
+          const [first, last] = dialog.querySelectorAll("button");
+          const trap = new FocusTrap(dialog);
+          trap.activate();
+
+          this.expect(document.activeElement).toBe(first);
+          this.expect(opener.hasAttribute("inert")).toBeTruthy();
+          this.expect(dialog.hasAttribute("inert")).toBeFalsy();
+
+          last.focus();
+          pressKey("Tab");
+          this.expect(document.activeElement).toBe(first);
+          pressKey("Tab", true);
+          this.expect(document.activeElement).toBe(last);
+
+          trap.deactivate();
+          this.expect(opener.hasAttribute("inert")).toBeFalsy();
+          this.expect(document.activeElement).toBe(opener);
+          dialog.remove();
+          opener.remove();
+        }
+      );
+
+      this.it("devrait gérer les dialogues imbriqués", () => {
+        let escaped = 0;
+        const outer = createDialog();
+        const inner = createDialog();
+        const outerTrap = new FocusTrap(outer, {
+          onEscape: () => escaped++,
+        });
+        const innerTrap = new FocusTrap(inner, {
+          onEscape: () => innerTrap.deactivate(),
+        });
+
+        outerTrap.activate();
+        innerTrap.activate();
+        this.expect(outer.hasAttribute("inert")).toBeTruthy();
+
+        pressKey("Escape");
+        this.expect(escaped).toBe(0);
+        this.expect(innerTrap.isActive()).toBeFalsy();
+        this.expect(outer.hasAttribute("inert")).toBeFalsy();
+        this.expect(document.activeElement).toBe(outer.querySelector("button"));
+
+        innerTrap.activate();
+        outerTrap.deactivate();
+        this.expect(innerTrap.isActive()).toBeFalsy();
+        this.expect(inner.hasAttribute("inert")).toBeFalsy();
+        outer.remove();
+        inner.remove();
+      });
+    });
+  }
+
+  testReadingListFeature() {
+    this.describe("Fonctionnalité: Liste de lecture", () => {
+      const createList = () => {
+        const readingList = new ReadingList();
+        readingList.storageKey = "runtogether:test-reading-list";
+        readingList.items = [];
+        return readingList;
+      };
+      const cleanUp = (readingList) => {
+        if (readingList.trigger) readingList.trigger.remove();
+        if (readingList.panel) readingList.panel.remove();
+        window.localStorage.removeItem(readingList.storageKey);
+      };
+
+      this.it("devrait ajouter, réordonner et retirer des articles", () => {
+        const readingList = createList();
+        readingList.add({ id: "article-1", title: "Premier", url: "a.html" });
+        readingList.add({ id: "article-2", title: "Second", url: "b.html" });
+        readingList.add({ id: "article-1", title: "Doublon" });
+        this.expect(readingList.items.length).toBe(2);
+
+        this.expect(readingList.move("article-2", -1)).toBeTruthy();
+        this.expect(readingList.move("article-2", -1)).toBeFalsy();
+        this.expect(readingList.items[0].id).toBe("article-2");
+
+        readingList.toggleRead("article-1");
+        readingList.remove("article-2");
+        const saved = readingList.loadItems();
+        this.expect(saved.length).toBe(1);
+        this.expect(saved[0].read).toBeTruthy();
+        cleanUp(readingList);
+      });
+
+      this.it("devrait ignorer les entrées enregistrées invalides", () => {
+        const readingList = createList();
+        writeStorage(readingList.storageKey, [
+          { id: "article-1", title: "Premier" },
+          { id: 42 },
+          null,
+        ]);
+        const items = readingList.loadItems();
+        this.expect(items.length).toBe(1);
+        this.expect(items[0].read).toBeFalsy();
+        cleanUp(readingList);
+      });
+
+      this.it("devrait ouvrir le volet comme un dialogue modal", () => {
+        const readingList = createList();
+        readingList.trigger.focus();
+        readingList.openPanel();
+
+        const main = document.querySelector("main");
+        this.expect(readingList.panel.getAttribute("aria-modal")).toBe("true");
+        this.expect(readingList.panelTrap.isActive()).toBeTruthy();
+        if (main) this.expect(main.hasAttribute("inert")).toBeTruthy();
+
+        document.dispatchEvent(
+          new KeyboardEvent("keydown", { key: "Escape", bubbles: true })
+        );
+        this.expect(readingList.panel.hidden).toBeTruthy();
+        this.expect(document.activeElement).toBe(readingList.trigger);
+        if (main) this.expect(main.hasAttribute("inert")).toBeFalsy();
+        cleanUp(readingList);
+      });
+    });
+  }
+
+  testReadingHistoryFeature() {
+    this.describe("Fonctionnalité: Historique de lecture", () => {
+      const createHistory = () => {
+        const history = new ReadingHistory();
+        history.readKey = "runtogether:test-read";
+        history.visitKey = "runtogether:test-visit";
+        history.readIds = new Set();
+        return history;
+      };
+      const cleanUp = (history) => {
+        window.localStorage.removeItem(history.readKey);
+        window.localStorage.removeItem(history.visitKey);
+      };
+
+      this.it(
+        "devrait signaler les articles publiés depuis la visite précédente",
+        () => {
+          const history = createHistory();
+          writeStorage(history.visitKey, {
+            previous: "",
+            last: "2025-06-01T08:00:00.000Z",
+          });
+
+          // Même visite : la référence reste la visite précédente
+          history.recordVisit(new Date("2025-06-10T08:00:00.000Z"));
+          history.recordVisit(new Date("2025-06-10T08:10:00.000Z"));
+          this.expect(history.previousVisit).toBe("2025-06-01T08:00:00.000Z");
+
+          this.expect(history.isNew({ date: "2025-06-02" })).toBeTruthy();
+          this.expect(history.isNew({ date: "2025-06-01" })).toBeFalsy();
+          cleanUp(history);
+        }
+      );
+
+      this.it("devrait filtrer les articles non lus", () => {
+        const history = createHistory();
+        history.markRead("lu");
+        const articles = ["lu", "non-lu"].map((id) => ({
+          element: this.createMockCard(),
+          id,
+          category: "conseil",
+          visible: true,
+        }));
+        history.decorateCards(articles);
+
+        const filter = new ArticleFilter(articles);
+        filter.setUnreadOnly(true);
+        this.expect(filter.matchingArticles.length).toBe(1);
+        this.expect(filter.describeCriteria()).toContain("non lus");
+
+        filter.resetFilter();
+        this.expect(filter.unreadOnly).toBeFalsy();
+        cleanUp(history);
+      });
+    });
+  }
+
+  testRecommendationFeature() {
+    this.describe("Fonctionnalité: Recommandations personnalisées", () => {
+      const recommender = new ArticleRecommender(
+        new RunnerProfile("runtogether:test-profile")
+      );
+      const profile = { name: "Léa", level: "debutant", goal: "10k" };
+
+      this.it("devrait expliquer le score par l'objectif et le niveau", () => {
+        const result = recommender.score(
+          { category: "entrainement", tags: ["debutant"] },
+          profile
+        );
+        this.expect(result.score).toBe(7);
+        this.expect(result.reasons[0]).toBe("Parce que vous préparez un 10 km");
+        this.expect(result.reasons).toContain("Parce que vous débutez");
+      });
+
+      this.it("ne devrait rien recommander sans correspondance", () => {
+        const result = recommender.score(
+          { category: "actu", tags: ["montres-gps"] },
+          profile
+        );
+        this.expect(result.score).toBe(0);
+        this.expect(result.reasons.length).toBe(0);
+      });
+    });
+  }
+
+  testCarouselFeature() {
+    this.describe("Fonctionnalité: Carrousel accessible", () => {
+      const createCarousel = (dataset = {}) => {
+        const root = document.createElement("div");
+        root.className = "carousel";
+        Object.assign(root.dataset, dataset);
+        root.innerHTML = `
+          <button class="carousel-btn prev">‹</button>
+          <div class="carousel-track" id="test-track">
+            <article class="mini-card"><h3 class="mini-title">Un</h3></article>
+            <article class="mini-card"><h3 class="mini-title">Deux</h3></article>
+            <article class="mini-card"><h3 class="mini-title">Trois</h3></article>
+          </div>
+          <button class="carousel-btn next">›</button>`;
+        document.body.appendChild(root);
+        return new Carousel(root);
+      };
+
+      this.it("devrait désactiver les boutons aux extrémités", () => {
+        const carousel = createCarousel();
+        this.expect(carousel.prevButton.disabled).toBeTruthy();
+        this.expect(carousel.position.textContent).toBe("1 / 3");
+
+        carousel.nextButton.click();
+        carousel.nextButton.click();
+        this.expect(carousel.nextButton.disabled).toBeTruthy();
+        this.expect(carousel.position.textContent).toBe("3 / 3");
+        this.expect(carousel.status.textContent).toContain("Trois");
+        carousel.root.remove();
+      });
+
+      this.it("devrait répondre aux flèches du clavier", () => {
+        const carousel = createCarousel();
+        const press = (key) =>
+          carousel.track.dispatchEvent(
+            new KeyboardEvent("keydown", { key, bubbles: true })
+          );
+
+        press("End");
+        this.expect(carousel.index).toBe(2);
+        press("ArrowLeft");
+        this.expect(carousel.index).toBe(1);
+        this.expect(
+          carousel.getSlides()[1].getAttribute("aria-roledescription")
+        ).toBeTruthy();
+        this.expect(carousel.prevButton.getAttribute("aria-controls")).toBe(
+          "test-track"
+        );
+        carousel.root.remove();
+      });
+
+      this.it("devrait suspendre le défilement automatique", () => {
+        const carousel = createCarousel({ autoplay: "5000" });
+        this.expect(carousel.isRotating()).toBeTruthy();
+        this.expect(carousel.status.getAttribute("aria-live")).toBe("off");
+
+        carousel.root.dispatchEvent(new MouseEvent("mouseenter"));
+        this.expect(carousel.isRotating()).toBeFalsy();
+        carousel.root.dispatchEvent(new MouseEvent("mouseleave"));
+
+        carousel.autoplayButton.click();
+        this.expect(carousel.isPlaying).toBeFalsy();
+        this.expect(carousel.autoplayTimer).toBe(null);
+        carousel.root.remove();
+      });
+
+      this.it("devrait changer de carte au glissement horizontal", () => {
+        const carousel = createCarousel();
+        const pointer = (type, x, y, pointerType = "touch") => {
+          const event = new MouseEvent(type, { clientX: x, clientY: y });
+          Object.defineProperties(event, {
+            pointerId: { value: 1 },
+            pointerType: { value: pointerType },
+            isPrimary: { value: true },
+          });
+          carousel.track.dispatchEvent(event);
+        };
+        const swipe = (dx, dy, pointerType) => {
+          pointer("pointerdown", 200, 100, pointerType);
+          pointer("pointermove", 200 + dx / 2, 100 + dy / 2, pointerType);
+          pointer("pointerup", 200 + dx, 100 + dy, pointerType);
+        };
+
+        swipe(-80, 4);
+        this.expect(carousel.index).toBe(1);
+        // Défilement vertical de la page, souris ou geste trop court : ignorés
+        swipe(-20, 90);
+        swipe(-80, 0, "mouse");
+        swipe(-6, 0);
+        this.expect(carousel.index).toBe(1);
+        swipe(80, 0);
+        this.expect(carousel.index).toBe(0);
+        carousel.root.remove();
+      });
+
+      this.it(
+        "ne devrait pas défiler seul si les animations sont réduites",
+        () => {
+          const { matchMedia } = window;
+          window.matchMedia = () => ({ matches: true });
+          const carousel = createCarousel({ autoplay: "5000" });
+          window.matchMedia = matchMedia;
+
+          this.expect(carousel.autoplayButton).toBeFalsy();
+          this.expect(carousel.isRotating()).toBeFalsy();
+          carousel.root.remove();
+        }
+      );
+
+      this.it(
+        "devrait s'arrêter si les animations sont réduites en cours de visite",
+        () => {
+          const { matchMedia } = window;
+          let notifyChange = null;
+          window.matchMedia = () => ({
+            matches: false,
+            addEventListener: (type, listener) => (notifyChange = listener),
+          });
+          const carousel = createCarousel({ autoplay: "5000" });
+          window.matchMedia = matchMedia;
+          this.expect(carousel.isRotating()).toBe(!document.hidden);
+
+          notifyChange({ matches: true });
+          this.expect(carousel.isRotating()).toBeFalsy();
+          this.expect(carousel.autoplayTimer).toBe(null);
+          this.expect(carousel.autoplayButton.hidden).toBeTruthy();
+
+          // Préférence levée : le bouton revient, la rotation reste en pause
+          notifyChange({ matches: false });
+          this.expect(carousel.autoplayButton.hidden).toBeFalsy();
+          this.expect(carousel.isPlaying).toBeFalsy();
+          carousel.root.remove();
+        }
+      );
+    });
+  }
+
+  testNavigationHighlightFeature() {
+    this.describe("Fonctionnalité: Repères de navigation", () => {
+      this.it("devrait marquer la page courante et la section affichée", () => {
+        const page = window.location.pathname.split("/").pop() || "index.html";
+        const nav = document.createElement("nav");
+        nav.innerHTML = `
+          <a href="${page}" data-section="test-spy-a">Page</a>
+          <a href="#test-spy-b">Section</a>
+          <a href="autre-page.html" aria-current="page">Autre</a>`;
+        const sections = ["test-spy-a", "test-spy-b"].map((id) => {
+          const section = document.createElement("section");
+          section.id = id;
+          document.body.appendChild(section);
+          return section;
+        });
+        document.body.appendChild(nav);
+
+        const highlight = new NavigationHighlight(nav);
+        const [pageLink, sectionLink, otherLink] = nav.querySelectorAll("a");
+        this.expect(pageLink.getAttribute("aria-current")).toBe("page");
+        this.expect(otherLink.hasAttribute("aria-current")).toBeFalsy();
+
+        highlight.handleIntersections([
+          { target: sections[1], isIntersecting: true },
+        ]);
+        this.expect(sectionLink.classList.contains("active")).toBeTruthy();
+        this.expect(sectionLink.getAttribute("aria-current")).toBe("location");
+
+        // Deux sections dans la bande : la première du document l'emporte
+        highlight.handleIntersections([
+          { target: sections[0], isIntersecting: true },
+        ]);
+        this.expect(pageLink.classList.contains("active")).toBeTruthy();
+        this.expect(pageLink.getAttribute("aria-current")).toBe("page");
+        this.expect(sectionLink.hasAttribute("aria-current")).toBeFalsy();
+
+        highlight.destroy();
+        nav.remove();
+        sections.forEach((section) => section.remove());
+      });
+
+      this.it("devrait masquer l'en-tête en descendant seulement", () => {
+        const header = document.createElement("header");
+        header.innerHTML = '<a href="#">Accueil</a>';
+        document.body.appendChild(header);
+
+        const sticky = new StickyHeader(header);
+        sticky.update(600);
+        this.expect(header.classList.contains("is-hidden")).toBeTruthy();
+        sticky.update(596);
+        this.expect(header.classList.contains("is-hidden")).toBeTruthy();
+        sticky.update(300);
+        this.expect(header.classList.contains("is-hidden")).toBeFalsy();
+
+        sticky.update(900);
+        header.querySelector("a").focus();
+        this.expect(header.classList.contains("is-hidden")).toBeFalsy();
+        sticky.update(1200);
+        this.expect(header.classList.contains("is-hidden")).toBeFalsy();
+
+        sticky.destroy();
+        header.remove();
+      });
     });
   }
 
@@ -371,6 +1308,384 @@ class FeatureTests extends TestRunner {
           "Entraînement"
         );
       });
+
+      this.it("devrait combiner plusieurs catégories (OU logique)", () => {
+        const filter = new ArticleFilter();
+        filter.articles = ["conseil", "entrainement", "nutrition"].map(
+          (category) => ({
+            element: this.createMockCard(),
+            category,
+            visible: true,
+          })
+        );
+
+        filter.setCategories(["conseil", "entrainement"]);
+        this.expect(filter.articles.filter((a) => a.visible).length).toBe(2);
+        this.expect(filter.describeCriteria()).toContain(" ou ");
+
+        filter.resetFilter();
+        this.expect(filter.currentFilter).toBe("all");
+        this.expect(filter.articles.filter((a) => a.visible).length).toBe(3);
+      });
+
+      this.it("devrait effacer une seule fois après un nouveau rendu", () => {
+        const filter = new ArticleFilter();
+        const container = document.createElement("fieldset");
+        container.innerHTML =
+          '<button type="button" class="btn-link facet-clear">Tout effacer</button>';
+        filter.articles = [
+          {
+            element: this.createMockCard(),
+            category: "conseil",
+            visible: true,
+          },
+        ];
+        let resets = 0;
+        filter.resetFilter = () => resets++;
+
+        filter.renderFacets(container);
+        filter.renderFacets(container);
+        container.querySelector(".facet-clear").disabled = false;
+        container.querySelector(".facet-clear").click();
+        this.expect(resets).toBe(1);
+        this.expect(container.querySelectorAll(".facet-clear").length).toBe(1);
+      });
+
+      this.it(
+        "filterArticles devrait rester compatible avec une catégorie",
+        () => {
+          const filter = new ArticleFilter();
+          filter.filterArticles("nutrition");
+          this.expect(filter.selectedCategories.has("nutrition")).toBeTruthy();
+          filter.filterArticles("all");
+          this.expect(filter.selectedCategories.size).toBe(0);
+        }
+      );
+    });
+  }
+
+  testArticleTagsFeature() {
+    this.describe("Fonctionnalité: Tags et nuage de tags", () => {
+      const createFilter = () => {
+        const filter = new ArticleFilter();
+        filter.articles = [
+          { category: "actu-produits", tags: ["chaussures", "route"] },
+          { category: "actu-produits", tags: ["chaussures", "trail"] },
+          { category: "entrainement", tags: ["trail"] },
+          { category: "conseil", tags: [] },
+        ].map((article) => ({
+          ...article,
+          element: this.createMockCard(),
+          visible: true,
+        }));
+        return filter;
+      };
+
+      this.it("devrait compter les articles par tag", () => {
+        const counts = createFilter().getTagCounts();
+        this.expect(counts.get("chaussures")).toBe(2);
+        this.expect(counts.get("trail")).toBe(2);
+        this.expect(counts.get("route")).toBe(1);
+      });
+
+      this.it("devrait filtrer par tag en plus de la catégorie", () => {
+        const filter = createFilter();
+        filter.setTag("trail");
+        this.expect(filter.articles.filter((a) => a.visible).length).toBe(2);
+        this.expect(filter.describeCriteria()).toContain('tag "Trail"');
+
+        filter.setCategories(["actu-produits"]);
+        this.expect(filter.articles.filter((a) => a.visible).length).toBe(1);
+      });
+
+      this.it("devrait ignorer un tag inconnu", () => {
+        const filter = createFilter();
+        filter.setTag("velo");
+        this.expect(filter.activeTag).toBe("");
+        this.expect(filter.articles.filter((a) => a.visible).length).toBe(4);
+      });
+
+      this.it("devrait normaliser les tags saisis", () => {
+        this.expect(slugify("Montres GPS")).toBe("montres-gps");
+        this.expect(slugify(" Récupération ")).toBe("recuperation");
+        this.expect(formatLabel("montres-gps")).toBe("Montres GPS");
+        this.expect(formatLabel("trail-court")).toBe("Trail court");
+      });
+    });
+  }
+
+  testArticleSortFeature() {
+    this.describe("Fonctionnalité: Tri et période de publication", () => {
+      const createFilter = () => {
+        const filter = new ArticleFilter();
+        filter.articles = [
+          { title: "Bravo", date: "2025-03-10", order: 0 },
+          { title: "alpha", date: "2025-06-02", order: 1 },
+          { title: "Charlie", date: "2025-01-24", order: 2 },
+        ].map((article) => ({
+          ...article,
+          element: this.createMockCard(),
+          category: "conseil",
+          visible: true,
+        }));
+        return filter;
+      };
+      const sortTitles = (filter) =>
+        [...filter.articles]
+          .sort((a, b) => filter.compareArticles(a, b))
+          .map((article) => article.title)
+          .join(",");
+
+      this.it("devrait trier par date et par ordre alphabétique", () => {
+        const filter = createFilter();
+        this.expect(sortTitles(filter)).toBe("alpha,Bravo,Charlie");
+        filter.sortMode = "oldest";
+        this.expect(sortTitles(filter)).toBe("Charlie,Bravo,alpha");
+        filter.sortMode = "alpha";
+        this.expect(sortTitles(filter)).toBe("alpha,Bravo,Charlie");
+      });
+
+      this.it("devrait utiliser la date sans recherche active", () => {
+        const filter = createFilter();
+        this.expect(filter.getEffectiveSort()).toBe("newest");
+        filter.searchQuery = "gel";
+        this.expect(filter.getEffectiveSort()).toBe("relevance");
+      });
+
+      this.it("devrait filtrer par période, bornes incluses", () => {
+        const filter = createFilter();
+        filter.setDateRange("2025-06-02", "2025-03-10");
+        this.expect(filter.dateRange.from).toBe("2025-03-10");
+        this.expect(filter.articles.filter((a) => a.visible).length).toBe(2);
+        this.expect(filter.describeCriteria()).toContain("publiés entre");
+      });
+    });
+  }
+
+  testFilterUrlStateFeature() {
+    this.describe("Fonctionnalité: État des filtres dans l'URL", () => {
+      const urlState = new FilterUrlState(null);
+
+      this.it("devrait lire les catégories et la recherche", () => {
+        const state = urlState.parseQueryString(
+          "?category=Nutrition,conseil&q=gel%20%C3%A9nerg%C3%A9tique"
+        );
+        this.expect(state.categories.length).toBe(2);
+        this.expect(state.categories[0]).toBe("nutrition");
+        this.expect(state.q).toBe("gel énergétique");
+      });
+
+      this.it("devrait lire et écrire le tag actif", () => {
+        this.expect(urlState.parseQueryString("?tag=Trail").tag).toBe("trail");
+        this.expect(
+          urlState.buildQueryString({ categories: ["conseil"], tag: "trail" })
+        ).toBe("?category=conseil&tag=trail");
+      });
+
+      this.it("devrait omettre les valeurs par défaut", () => {
+        this.expect(
+          urlState.buildQueryString({
+            categories: [],
+            q: "",
+            sort: "relevance",
+            from: "",
+            to: "",
+          })
+        ).toBe("");
+      });
+
+      this.it("devrait produire des liens lisibles et réversibles", () => {
+        const state = {
+          categories: ["actu", "actu-produits"],
+          q: "gel",
+          sort: "oldest",
+          from: "2025-03-01",
+          to: "",
+        };
+        const queryString = urlState.buildQueryString(state);
+        this.expect(queryString).toBe(
+          "?category=actu,actu-produits&q=gel&sort=oldest&from=2025-03-01"
+        );
+        this.expect(urlState.parseQueryString(queryString).sort).toBe("oldest");
+      });
+
+      this.it("devrait créer une seule entrée pendant la saisie", () => {
+        const { history, location } = window;
+        const initialUrl = `${location.pathname}${location.search}${location.hash}`;
+        const originalPush = history.pushState;
+        const originalReplace = history.replaceState;
+        let entries = 0;
+        // L'URL suit les appels sans modifier l'historique du test
+        history.pushState = (...args) => {
+          entries++;
+          originalReplace.apply(history, args);
+        };
+        history.replaceState = (...args) =>
+          originalReplace.apply(history, args);
+
+        try {
+          urlState.commitQuery();
+          ["ma", "mara", "marat", "marathon"].forEach((q) => {
+            urlState.pushState({ categories: [], q, page: 1 });
+          });
+          this.expect(entries).toBe(1);
+          this.expect(location.search).toBe("?q=marathon");
+
+          // Changement de facette : nouvelle entrée
+          urlState.pushState({ categories: ["trail"], q: "marathon", page: 1 });
+          this.expect(entries).toBe(2);
+
+          // Recherche validée : la saisie suivante a sa propre entrée
+          urlState.pushState({ categories: ["trail"], q: "semi", page: 1 });
+          urlState.commitQuery();
+          urlState.pushState({ categories: ["trail"], q: "trail", page: 1 });
+          this.expect(entries).toBe(4);
+        } finally {
+          history.pushState = originalPush;
+          history.replaceState = originalReplace;
+          originalReplace.call(history, null, "", initialUrl);
+        }
+      });
+    });
+  }
+
+  testPaginationFeature() {
+    this.describe("Fonctionnalité: Affichage progressif", () => {
+      const createFilter = () => {
+        const filter = new ArticleFilter();
+        filter.pageSize = 2;
+        filter.articles = ["2025-03-01", "2025-02-01", "2025-01-01"].map(
+          (date, order) => ({
+            element: this.createMockCard(),
+            category: "conseil",
+            title: `Article ${order}`,
+            date,
+            order,
+            visible: true,
+          })
+        );
+        return filter;
+      };
+
+      this.it("devrait limiter l'affichage à la première page", () => {
+        const filter = createFilter();
+        this.expect(filter.updateVisibility()).toBe(2);
+        this.expect(filter.matchingArticles.length).toBe(3);
+        this.expect(filter.articles[2].visible).toBeFalsy();
+      });
+
+      this.it("devrait afficher la page suivante avec loadMore", () => {
+        const filter = createFilter();
+        filter.updateVisibility();
+        filter.loadMore();
+        this.expect(filter.page).toBe(2);
+        this.expect(filter.articles.filter((a) => a.visible).length).toBe(3);
+      });
+
+      this.it(
+        "devrait revenir à la première page quand le filtre change",
+        () => {
+          const filter = createFilter();
+          filter.page = 2;
+          filter.setCategories(["conseil"]);
+          this.expect(filter.page).toBe(1);
+        }
+      );
+    });
+  }
+
+  createMockCard() {
+    return {
+      style: {},
+      setAttribute: () => {},
+      removeAttribute: () => {},
+      querySelector: () => null,
+      classList: { toggle: () => {} },
+      focus: () => {},
+    };
+  }
+
+  testArticleSearchFeature() {
+    this.describe("Fonctionnalité: Recherche plein texte", () => {
+      const filter = new ArticleFilter();
+      const search = new ArticleSearch(filter);
+      const article = {
+        category: "entrainement",
+        title: "Fractionné : les séances clés",
+        excerpt: "Travailler sa VMA avant un semi-marathon",
+      };
+
+      this.it("devrait découper la requête en termes normalisés", () => {
+        const terms = search.getTerms("  Séances   VMA ");
+        this.expect(terms.length).toBe(2);
+        this.expect(terms[0]).toBe("seances");
+      });
+
+      this.it(
+        "devrait trouver un article sans tenir compte des accents",
+        () => {
+          this.expect(
+            search.scoreArticle(article, search.getTerms("entrainement")) > 0
+          ).toBeTruthy();
+          this.expect(
+            search.scoreArticle(article, search.getTerms("fractionne")) > 0
+          ).toBeTruthy();
+        }
+      );
+
+      this.it("devrait exiger la présence de tous les termes", () => {
+        this.expect(
+          search.scoreArticle(article, search.getTerms("vma nutrition"))
+        ).toBe(0);
+      });
+
+      this.it("devrait classer le titre avant l'extrait", () => {
+        const titleScore = search.scoreArticle(
+          article,
+          search.getTerms("seances")
+        );
+        const excerptScore = search.scoreArticle(
+          article,
+          search.getTerms("semi")
+        );
+        this.expect(titleScore > excerptScore).toBeTruthy();
+      });
+    });
+  }
+
+  testSiteSearchFeature() {
+    this.describe("Fonctionnalité: Recherche globale", () => {
+      const siteSearch = new SiteSearch();
+      siteSearch.index = [
+        {
+          title: "Les gels énergétiques",
+          categoryLabel: "Nutrition",
+          excerpt: "Bien s'alimenter pendant un trail",
+          url: "articles.html#article-list-9",
+        },
+        {
+          title: "Quelle eau pour le coureur ?",
+          categoryLabel: "Nutrition",
+          excerpt: "Les gels ne suffisent pas, il faut aussi boire",
+          url: "articles.html#article-list-10",
+        },
+      ];
+
+      this.it("devrait classer les résultats par pertinence", () => {
+        const matches = siteSearch.findMatches("gels");
+        this.expect(matches.length).toBe(2);
+        this.expect(matches[0].url).toBe("articles.html#article-list-9");
+      });
+
+      this.it("devrait ignorer une requête vide", () => {
+        this.expect(siteSearch.findMatches("   ").length).toBe(0);
+      });
+
+      this.it("cleanSearchQuery devrait tronquer les requêtes", () => {
+        this.expect(cleanSearchQuery("  gel  ")).toBe("gel");
+        this.expect(cleanSearchQuery("a".repeat(150)).length).toBe(100);
+        this.expect(cleanSearchQuery(null)).toBe("");
+      });
     });
   }
 }